@@ -0,0 +1,45 @@
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+const { notifyUser, bookingMessage } = require('../services/bookingService');
+
+/**
+ * Release the dates of bookings whose deposit was not paid in time.
+ * A payment confirmed after the release is flagged for refund by the webhook.
+ */
+const runBookingHoldExpiry = async () => {
+  let releasedCount = 0;
+
+  const bookings = await Booking.find({
+    status: 'awaiting_deposit',
+    holdExpiresAt: { $lte: new Date() }
+  });
+
+  for (const booking of bookings) {
+    try {
+      if (booking.deposit.status === 'pending') {
+        booking.deposit.status = 'failed';
+      }
+      await booking.release('cancelled', 'system');
+      releasedCount++;
+
+      const listing = await Listing.findById(booking.listingId).select('title');
+      notifyUser(booking.guestId, bookingMessage(
+        'Réservation expirée',
+        booking,
+        listing || { title: '' },
+        '\nL\'acompte n\'a pas été payé à temps et les dates ont été libérées.'
+      ));
+    } catch (error) {
+      logger.error('Error releasing booking hold', { bookingId: booking._id, error: error.message });
+    }
+  }
+
+  logger.info('Booking hold expiry job done', { releasedCount });
+
+  return { releasedCount };
+};
+
+module.exports = {
+  runBookingHoldExpiry
+};
@@ -0,0 +1,41 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+const { DEFAULT_USD_TO_CDF_RATE, clearExchangeRateCache } = require('../services/exchangeRateService');
+
+/**
+ * Recompute normalized listing prices once a newly published rate is in effect. Otherwise only
+ * listings without normalized prices yet are filled in. `force` recomputes every listing.
+ */
+const runExchangeRateSync = async ({ force = false } = {}) => {
+  clearExchangeRateCache();
+
+  const current = await ExchangeRate.findEffective();
+  const rate = current ? current.rate : DEFAULT_USD_TO_CDF_RATE;
+  const rateChanged = Boolean(current && !current.pricesSyncedAt);
+
+  const updatedCount = await Listing.syncNormalizedPrices(
+    rate,
+    force || rateChanged ? {} : { priceUSD: { $exists: false } }
+  );
+  if (!force && !rateChanged && updatedCount === 0) {
+    return { synced: false };
+  }
+
+  if (current && !current.pricesSyncedAt) {
+    current.pricesSyncedAt = new Date();
+    await current.save();
+  }
+
+  logger.info('Exchange rate sync done', {
+    rate,
+    exchangeRateId: current?._id,
+    updatedCount
+  });
+
+  return { synced: true, rate, updatedCount };
+};
+
+module.exports = {
+  runExchangeRateSync
+};
@@ -0,0 +1,32 @@
+const RentalCalendar = require('../models/RentalCalendar');
+const logger = require('../config/logger');
+const { importFromUrl } = require('../services/calendarService');
+
+/**
+ * Refresh the imported blocked dates of every calendar linked to another platform.
+ * A failing feed is logged and keeps its previous blocks.
+ */
+const runIcalSync = async () => {
+  let syncedCount = 0;
+  let failedCount = 0;
+
+  const calendars = await RentalCalendar.find({ icalImportUrl: { $ne: null } });
+
+  for (const calendar of calendars) {
+    try {
+      await importFromUrl(calendar);
+      syncedCount++;
+    } catch (error) {
+      failedCount++;
+      logger.warn('iCal sync failed', { listingId: calendar.listingId, error: error.message });
+    }
+  }
+
+  logger.info('iCal sync job done', { syncedCount, failedCount });
+
+  return { syncedCount, failedCount };
+};
+
+module.exports = {
+  runIcalSync
+};
@@ -0,0 +1,155 @@
+const SavedSearch = require('../models/SavedSearch');
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+const { buildListingFilter } = require('../utils/listingFilters');
+const { sendNotification, getListingUrl } = require('../services/notificationService');
+
+const MAX_LISTINGS_PER_MESSAGE = 5;
+
+const formatPrice = (listing) => {
+  const price = listing.priceMonthly || listing.priceDaily || listing.priceSale;
+  if (!price) return '';
+  const suffix = listing.listingType === 'rent' ? '/mois' : listing.listingType === 'daily' ? '/jour' : '';
+  return ` - ${price.toLocaleString('fr-FR')} ${listing.currency}${suffix}`;
+};
+
+const formatSection = (heading, listings, total) => {
+  const lines = listings.map(listing =>
+    `• ${listing.title} (${listing.commune})${formatPrice(listing)}\n${getListingUrl(listing._id)}`
+  );
+  const more = total > listings.length
+    ? `\n\n+ ${total - listings.length} autre(s) annonce(s) sur Ndaku`
+    : '';
+
+  return `${heading}
+
+${lines.join('\n\n')}${more}`;
+};
+
+const buildMessage = (savedSearch, newMatches, priceDrops) => {
+  const title = savedSearch.name ? `« ${savedSearch.name} »` : 'votre recherche';
+  const sections = [];
+  if (newMatches.total > 0) {
+    sections.push(formatSection(`🏠 *Nouvelles annonces pour ${title}*`, newMatches.listings, newMatches.total));
+  }
+  if (priceDrops.total > 0) {
+    sections.push(formatSection(`📉 *Baisses de prix pour ${title}*`, priceDrops.listings, priceDrops.total));
+  }
+
+  return `${sections.join('\n\n')}
+
+---
+Ndaku - Gérez vos alertes depuis votre espace personnel`;
+};
+
+const findMatches = async (matchFilter, sortField) => {
+  const [listings, total] = await Promise.all([
+    Listing.find(matchFilter)
+      .sort({ [sortField]: -1 })
+      .limit(MAX_LISTINGS_PER_MESSAGE)
+      .select('title commune listingType priceMonthly priceDaily priceSale currency'),
+    Listing.countDocuments(matchFilter)
+  ]);
+
+  return { listings, total };
+};
+
+/**
+ * Find the listings matching one saved search that were activated since the last check,
+ * and the ones already known that dropped their price since then.
+ */
+const findSavedSearchMatches = async (savedSearch, until) => {
+  const { filter, error } = buildListingFilter(savedSearch.toListingQuery());
+  if (error) {
+    logger.warn('Saved search has invalid criteria', { savedSearchId: savedSearch._id, error });
+    const none = { listings: [], total: 0 };
+    return { newMatches: none, priceDrops: none };
+  }
+
+  const baseFilter = {
+    ...filter,
+    status: 'available',
+    activeSubscription: true,
+    createdBy: { $ne: savedSearch.userId._id || savedSearch.userId }
+  };
+
+  const [newMatches, priceDrops] = await Promise.all([
+    findMatches({
+      ...baseFilter,
+      subscriptionStartDate: { $gt: savedSearch.lastCheckedAt, $lte: until }
+    }, 'subscriptionStartDate'),
+    findMatches({
+      ...baseFilter,
+      subscriptionStartDate: { $lte: savedSearch.lastCheckedAt },
+      lastPriceDropAt: { $gt: savedSearch.lastCheckedAt, $lte: until }
+    }, 'lastPriceDropAt')
+  ]);
+
+  return { newMatches, priceDrops };
+};
+
+/**
+ * Notify owners of saved searches about newly available listings and price drops.
+ * `frequency` is 'instant' (run every few minutes) or 'daily' (morning digest).
+ */
+const runSavedSearchAlerts = async (frequency) => {
+  const startTime = Date.now();
+  const until = new Date();
+  let notifiedCount = 0;
+  let failedCount = 0;
+
+  const savedSearches = await SavedSearch.find({ isActive: true, frequency })
+    .populate('userId', 'firstName phoneNumber');
+
+  for (const savedSearch of savedSearches) {
+    try {
+      if (!savedSearch.userId) {
+        // The owner was deleted
+        savedSearch.isActive = false;
+        await savedSearch.save();
+        continue;
+      }
+
+      const { newMatches, priceDrops } = await findSavedSearchMatches(savedSearch, until);
+
+      if (newMatches.total > 0 || priceDrops.total > 0) {
+        const result = await sendNotification(
+          savedSearch.userId.phoneNumber,
+          buildMessage(savedSearch, newMatches, priceDrops),
+          { channel: savedSearch.channel }
+        );
+
+        if (!result.success) {
+          // Keep lastCheckedAt so the matches are retried on the next run
+          failedCount++;
+          continue;
+        }
+
+        savedSearch.lastNotifiedAt = until;
+        notifiedCount++;
+      }
+
+      savedSearch.lastCheckedAt = until;
+      await savedSearch.save();
+    } catch (error) {
+      failedCount++;
+      logger.error('Error processing saved search alert', {
+        savedSearchId: savedSearch._id,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info(`Saved search alerts (${frequency}) done`, {
+    searches: savedSearches.length,
+    notifiedCount,
+    failedCount,
+    duration: Date.now() - startTime
+  });
+
+  return { searches: savedSearches.length, notifiedCount, failedCount };
+};
+
+module.exports = {
+  runSavedSearchAlerts
+};
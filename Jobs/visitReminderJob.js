@@ -0,0 +1,70 @@
+const Visit = require('../models/Visit');
+const logger = require('../config/logger');
+const { sendNotification, getFrontendUrl, formatDateTime } = require('../services/notificationService');
+
+const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000; // Remind up to 24 hours before the visit
+
+/**
+ * Send reminders for confirmed visits starting soon, and close visits that are over.
+ */
+const runVisitReminders = async () => {
+  const now = new Date();
+  let remindedCount = 0;
+
+  const visits = await Visit.find({
+    status: 'confirmed',
+    reminderSentAt: null,
+    startTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_MS) }
+  })
+    .populate('listingId', 'title address quartier commune')
+    .populate('seekerId', 'firstName phoneNumber')
+    .populate('listerId', 'firstName phoneNumber');
+
+  for (const visit of visits) {
+    try {
+      const listing = visit.listingId;
+      if (!listing || !visit.seekerId || !visit.listerId) continue;
+
+      const details = `« ${listing.title} »
+${formatDateTime(visit.startTime)}
+${listing.address}, ${listing.quartier}, ${listing.commune}`;
+
+      await Promise.all([
+        sendNotification(visit.seekerId.phoneNumber, `⏰ *Rappel de visite*
+
+${details}
+
+${getFrontendUrl('/dashboard/visits')}`),
+        sendNotification(visit.listerId.phoneNumber, `⏰ *Rappel de visite*
+
+${details}
+Visiteur : ${visit.seekerId.firstName}
+
+${getFrontendUrl('/dashboard/visits')}`)
+      ]);
+
+      visit.reminderSentAt = now;
+      await visit.save();
+      remindedCount++;
+    } catch (error) {
+      logger.error('Error sending visit reminder', { visitId: visit._id, error: error.message });
+    }
+  }
+
+  // Confirmed visits that have ended are completed
+  const completed = await Visit.updateMany(
+    { status: 'confirmed', endTime: { $lte: now } },
+    { $set: { status: 'completed' } }
+  );
+
+  logger.info('Visit reminder job done', {
+    remindedCount,
+    completedCount: completed.modifiedCount
+  });
+
+  return { remindedCount, completedCount: completed.modifiedCount };
+};
+
+module.exports = {
+  runVisitReminders
+};
@@ -100,6 +100,11 @@ const logListingData = (req, res, next) => {
 // App setup
 const app = express();
 
+// Number of proxy hops in front of the app (or a list of trusted proxy addresses),
+// used by Express to resolve req.ip from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -2,6 +2,11 @@ const dotenv = require("dotenv");
 const path = require("path");
 const cron = require('node-cron');
 const Listing = require('./models/Listing');
+const { runSavedSearchAlerts } = require('./Jobs/savedSearchAlertJob');
+const { runVisitReminders } = require('./Jobs/visitReminderJob');
+const { runIcalSync } = require('./Jobs/icalSyncJob');
+const { runBookingHoldExpiry } = require('./Jobs/bookingHoldJob');
+const { runExchangeRateSync } = require('./Jobs/exchangeRateSyncJob');
 
 dotenv.config({ path: path.resolve(__dirname, "./.env") });
 
@@ -21,7 +26,14 @@ const listingRoutes = require("./routes/listing-routes");
 const adminRoutes = require("./routes/adminRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
 const whatsappRoutes = require("./routes/whatsappRoutes");
+const conversationRoutes = require("./routes/conversationRoutes");
+const visitRoutes = require("./routes/visitRoutes");
+const bookingRoutes = require("./routes/bookingRoutes");
+const reviewRoutes = require("./routes/reviewRoutes");
+const agencyRoutes = require("./routes/agencyRoutes");
+const locationRoutes = require("./routes/locationRoutes");
 const whatsappService = require("./services/whatsappService");
+const { seedLocationsIfEmpty } = require("./services/locationService");
 
 // Add SMS routes
 const smsRoutes = require("./routes/smsRoutes");
@@ -179,6 +191,11 @@ const logListingData = (req, res, next) => {
 
 const app = express();
 
+// Number of proxy hops in front of the app (or a list of trusted proxy addresses),
+// used by Express to resolve req.ip from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
 app.use("/uploads", express.static("uploads"));
@@ -197,6 +214,12 @@ app.use("/api/users", userRoutes);
 app.use("/api/listings", listingRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/whatsapp", whatsappRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/visits", visitRoutes);
+app.use("/api/bookings", bookingRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/agencies", agencyRoutes);
+app.use("/api/locations", locationRoutes);
 
 // Add SMS verification routes
 app.use("/api/sms", smsRoutes);
@@ -244,6 +267,70 @@ process.on("unhandledRejection", (reason, promise) => {
 //   logger.warn.apply(logger, arguments);
 // };
 
+const scheduleSavedSearchAlerts = () => {
+  // Instant alerts every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await runSavedSearchAlerts('instant');
+    } catch (err) {
+      logger.error('Saved search instant alerts failed:', err);
+    }
+  });
+
+  // Daily digest at 8:00 (Kinshasa time)
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      await runSavedSearchAlerts('daily');
+    } catch (err) {
+      logger.error('Saved search daily digest failed:', err);
+    }
+  }, { timezone: 'Africa/Kinshasa' });
+};
+
+const scheduleVisitReminders = () => {
+  // Visit reminders and completion every hour
+  cron.schedule('5 * * * *', async () => {
+    try {
+      await runVisitReminders();
+    } catch (err) {
+      logger.error('Visit reminder job failed:', err);
+    }
+  });
+};
+
+const scheduleIcalSync = () => {
+  // Pull external rental calendars every 3 hours
+  cron.schedule('20 */3 * * *', async () => {
+    try {
+      await runIcalSync();
+    } catch (err) {
+      logger.error('iCal sync job failed:', err);
+    }
+  });
+};
+
+const scheduleBookingHoldExpiry = () => {
+  // Release unpaid booking holds every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await runBookingHoldExpiry();
+    } catch (err) {
+      logger.error('Booking hold expiry job failed:', err);
+    }
+  });
+};
+
+const scheduleExchangeRateSync = () => {
+  // Apply scheduled exchange rates to listing prices once they take effect
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await runExchangeRateSync();
+    } catch (err) {
+      logger.error('Exchange rate sync job failed:', err);
+    }
+  });
+};
+
 const setupJobSystem = () => {
   if (process.env.NODE_ENV === 'production') {
     if (process.env.WORKER_PROCESS === 'true') {
@@ -252,6 +339,21 @@ const setupJobSystem = () => {
         await updateExpiredSubscriptions();
       });
       logger.info('Worker process: Subscription update job scheduled');
+
+      scheduleSavedSearchAlerts();
+      logger.info('Worker process: Saved search alert jobs scheduled');
+
+      scheduleVisitReminders();
+      logger.info('Worker process: Visit reminder job scheduled');
+
+      scheduleIcalSync();
+      logger.info('Worker process: iCal sync job scheduled');
+
+      scheduleBookingHoldExpiry();
+      logger.info('Worker process: Booking hold expiry job scheduled');
+
+      scheduleExchangeRateSync();
+      logger.info('Worker process: Exchange rate sync job scheduled');
     }
   } else {
     cron.schedule('0 1 * * *', async () => {
@@ -259,6 +361,21 @@ const setupJobSystem = () => {
       await updateExpiredSubscriptions();
     });
     logger.info('Development: Subscription update job scheduled');
+
+    scheduleSavedSearchAlerts();
+    logger.info('Development: Saved search alert jobs scheduled');
+
+    scheduleVisitReminders();
+    logger.info('Development: Visit reminder job scheduled');
+
+    scheduleIcalSync();
+    logger.info('Development: iCal sync job scheduled');
+
+    scheduleBookingHoldExpiry();
+    logger.info('Development: Booking hold expiry job scheduled');
+
+    scheduleExchangeRateSync();
+    logger.info('Development: Exchange rate sync job scheduled');
   }
 };
 
@@ -266,6 +383,23 @@ mongoose
   .connect(MONGO_URI)
   .then(() => {
     logger.info("✅ Connected to MongoDB");
+
+    // First start: copy the static location files into their collections
+    seedLocationsIfEmpty().catch(error => {
+      logger.error("❌ Location seeding failed:", error);
+    });
+
+    // Normalized listing prices follow the exchange rate in effect
+    runExchangeRateSync().catch(error => {
+      logger.error("❌ Normalized price sync failed:", error);
+    });
+
+    // Search terms of listings saved before the listing search used them
+    Listing.syncSearchTerms()
+      .then(count => logger.info(`Search terms synced for ${count} listings`))
+      .catch(error => {
+        logger.error("❌ Search terms sync failed:", error);
+      });
     
     // Initialize SMS service
     if (process.env.ENABLE_SMS_VERIFICATION !== 'false') {
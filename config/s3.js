@@ -216,8 +216,30 @@ const deleteFileFromS3 = async (fileUrl) => {
   });
 };
 
+// Upload an in-memory file (e.g. extracted from an archive) and resolve to its public URL
+const uploadBufferToS3 = async (buffer, originalName, contentType) => {
+  if (!hasValidAwsCredentials) {
+    throw new Error('AWS credentials not configured');
+  }
+
+  const extension = path.extname(originalName);
+  const key = `real-estate-listings/${Date.now()}-${Math.floor(Math.random() * 1000000000)}${extension}`;
+
+  const result = await s3.upload({
+    Bucket: bucketName,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType,
+    ACL: 'public-read'
+  }).promise();
+
+  return result.Location;
+};
+
 module.exports = {
   upload,
+  uploadBufferToS3,
+  hasValidAwsCredentials,
   deleteFileFromS3,
   s3,
   handleS3Errors
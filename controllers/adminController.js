@@ -1,6 +1,7 @@
 const Admin = require('../models/Admin');
 const User = require('../models/User');
 const Listing = require('../models/Listing');
+const Favorite = require('../models/Favorite');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -84,6 +85,7 @@ exports.deleteListing = async (req, res) => {
   try {
     const listing = await Listing.findByIdAndDelete(id);
     if (!listing) return res.status(404).json({ message: 'Listing not found' });
+    await Favorite.deleteMany({ listingId: listing._id });
 
     res.status(200).json({ message: 'Listing deleted successfully' });
   } catch (err) {
@@ -0,0 +1,629 @@
+const mongoose = require('mongoose');
+const Agency = require('../models/Agency');
+const User = require('../models/User');
+const Listing = require('../models/Listing');
+const Payment = require('../models/paymentSchema');
+const logger = require('../config/logger');
+const { findUserAgency } = require('../services/agencyService');
+const { sendNotification, getFrontendUrl } = require('../services/notificationService');
+
+const EDITABLE_FIELDS = ['name', 'logo', 'description', 'phoneNumber', 'email', 'website', 'address'];
+const MEMBER_FIELDS = 'firstName lastName email phoneNumber';
+
+// Load the agency of the route and check the current user owns it
+const findOwnedAgency = async (req, res) => {
+  const agency = mongoose.isValidObjectId(req.params.id) ? await Agency.findById(req.params.id) : null;
+
+  if (!agency || !agency.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Agency not found'
+    });
+    return null;
+  }
+
+  if (!agency.isOwner(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Forbidden: Only agency owners can do this'
+    });
+    return null;
+  }
+
+  return agency;
+};
+
+const countOwners = (agency) => agency.members.filter(member => member.role === 'owner').length;
+
+// Tell an invited user about the invitation in the background
+const notifyInvitation = async (user, agency, role) => {
+  const result = await sendNotification(user.phoneNumber, `🏢 *Invitation à rejoindre une agence*
+
+${agency.name} vous invite à rejoindre son équipe sur Ndaku en tant que ${role === 'owner' ? 'propriétaire' : 'agent'}.
+Acceptez ou refusez l'invitation depuis votre espace :
+
+${getFrontendUrl('/dashboard/agency')}`);
+  if (!result.success) {
+    logger.warn('Agency invitation notification not delivered', { agencyId: agency._id, userId: user._id, error: result.error });
+  }
+};
+
+// Create an agency; the creator becomes its owner
+const createAgency = async (req, res) => {
+  try {
+    const { name, attachListings } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agency name is required'
+      });
+    }
+
+    const existing = await findUserAgency(req.user._id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already belong to an agency'
+      });
+    }
+
+    const agency = new Agency({
+      slug: await Agency.generateSlug(String(name)),
+      members: [{ userId: req.user._id, role: 'owner' }]
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) agency[field] = req.body[field];
+    });
+    await agency.save();
+
+    // Optionally bring the owner's existing listings under the agency
+    let attachedCount = 0;
+    if (attachListings === true || attachListings === 'true') {
+      const result = await Listing.updateMany(
+        { createdBy: req.user._id, agencyId: null },
+        { $set: { agencyId: agency._id } }
+      );
+      attachedCount = result.modifiedCount;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Agency created successfully',
+      agency,
+      attachedListings: attachedCount
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already belong to an agency'
+      });
+    }
+
+    logger.error('Error creating agency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating agency',
+      error: error.message
+    });
+  }
+};
+
+// The current user's agency with its members and their role
+const getMyAgency = async (req, res) => {
+  try {
+    const agency = await findUserAgency(req.user._id);
+
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not belong to an agency'
+      });
+    }
+
+    await agency.populate('members.userId', MEMBER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      agency,
+      role: agency.getMember(req.user._id)?.role
+    });
+  } catch (error) {
+    logger.error('Error fetching agency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agency',
+      error: error.message
+    });
+  }
+};
+
+// Public agency page, by id or slug
+const getAgency = async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const filter = mongoose.isValidObjectId(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug.toLowerCase() };
+
+    const agency = await Agency.findOne({ ...filter, isActive: true })
+      .select('name slug logo description phoneNumber email website address createdAt members');
+
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agency not found'
+      });
+    }
+
+    const activeListings = await Listing.countDocuments({
+      agencyId: agency._id,
+      isDeleted: false,
+      status: 'available',
+      activeSubscription: true
+    });
+
+    const { members, ...branding } = agency.toObject();
+
+    res.status(200).json({
+      success: true,
+      agency: {
+        ...branding,
+        agentCount: members.length,
+        activeListings
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching agency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agency',
+      error: error.message
+    });
+  }
+};
+
+// Update the agency branding and contact details (owner)
+const updateAgency = async (req, res) => {
+  try {
+    const agency = await findOwnedAgency(req, res);
+    if (!agency) return;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) agency[field] = req.body[field];
+    });
+    await agency.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Agency updated successfully',
+      agency
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Error updating agency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating agency',
+      error: error.message
+    });
+  }
+};
+
+// Invite a registered user, found by email or phone number, to join the agency (owner).
+// They only become a member once they accept.
+const inviteMember = async (req, res) => {
+  try {
+    const agency = await findOwnedAgency(req, res);
+    if (!agency) return;
+
+    const { email, phoneNumber, role = 'agent' } = req.body;
+
+    if (!email && !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'email or phoneNumber is required'
+      });
+    }
+
+    if (!['owner', 'agent'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'role must be owner or agent'
+      });
+    }
+
+    const user = await User.findOne(email ? { email: String(email).toLowerCase() } : { phoneNumber })
+      .select('firstName phoneNumber');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user found. The agent must create a Ndaku account first'
+      });
+    }
+
+    const existing = await Agency.exists({ 'members.userId': user._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user already belongs to an agency'
+      });
+    }
+
+    if (agency.getInvitation(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user has already been invited'
+      });
+    }
+
+    agency.invitations.push({ userId: user._id, role, invitedBy: req.user._id });
+    await agency.save();
+
+    notifyInvitation(user, agency, role).catch(err => {
+      logger.error('Error sending agency invitation', { agencyId: agency._id, error: err.message });
+    });
+
+    const invitation = agency.getInvitation(user._id);
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${user.firstName}`,
+      invitation: {
+        userId: user._id,
+        firstName: user.firstName,
+        role: invitation.role,
+        invitedAt: invitation.invitedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error inviting agency member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting agency member',
+      error: error.message
+    });
+  }
+};
+
+// Pending agency invitations of the current user
+const getMyInvitations = async (req, res) => {
+  try {
+    const agencies = await Agency.find({ 'invitations.userId': req.user._id, isActive: true })
+      .select('name slug logo invitations');
+
+    res.status(200).json({
+      success: true,
+      invitations: agencies.map(agency => {
+        const invitation = agency.getInvitation(req.user._id);
+        return {
+          agency: { _id: agency._id, name: agency.name, slug: agency.slug, logo: agency.logo },
+          role: invitation.role,
+          invitedAt: invitation.invitedAt
+        };
+      })
+    });
+  } catch (error) {
+    logger.error('Error fetching agency invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agency invitations',
+      error: error.message
+    });
+  }
+};
+
+// Accept an invitation and join the agency (invited user)
+const acceptInvitation = async (req, res) => {
+  try {
+    const agency = mongoose.isValidObjectId(req.params.id) ? await Agency.findById(req.params.id) : null;
+    const invitation = agency?.isActive && agency.getInvitation(req.user._id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const existing = await Agency.exists({ 'members.userId': req.user._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already belong to an agency'
+      });
+    }
+
+    agency.members.push({ userId: req.user._id, role: invitation.role });
+    invitation.deleteOne();
+    await agency.save();
+
+    // Invitations from other agencies no longer apply
+    await Agency.updateMany(
+      { 'invitations.userId': req.user._id },
+      { $pull: { invitations: { userId: req.user._id } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${agency.name}`,
+      agency: { _id: agency._id, name: agency.name, slug: agency.slug },
+      role: invitation.role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already belong to an agency'
+      });
+    }
+
+    logger.error('Error accepting agency invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting agency invitation',
+      error: error.message
+    });
+  }
+};
+
+// Cancel an invitation (owner), or decline it (invited user)
+const cancelInvitation = async (req, res) => {
+  try {
+    const agency = mongoose.isValidObjectId(req.params.id) ? await Agency.findById(req.params.id) : null;
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!agency || !agency.isActive || (!isSelf && !agency.isOwner(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const invitation = agency.getInvitation(req.params.userId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    invitation.deleteOne();
+    await agency.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'Invitation declined' : 'Invitation cancelled'
+    });
+  } catch (error) {
+    logger.error('Error cancelling agency invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling agency invitation',
+      error: error.message
+    });
+  }
+};
+
+// Change a member's role (owner); an agency always keeps at least one owner
+const updateMemberRole = async (req, res) => {
+  try {
+    const agency = await findOwnedAgency(req, res);
+    if (!agency) return;
+
+    const { role } = req.body;
+    if (!['owner', 'agent'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'role must be owner or agent'
+      });
+    }
+
+    const member = agency.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && role === 'agent' && countOwners(agency) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The agency must keep at least one owner'
+      });
+    }
+
+    member.role = role;
+    await agency.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated',
+      member
+    });
+  } catch (error) {
+    logger.error('Error updating agency member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating agency member',
+      error: error.message
+    });
+  }
+};
+
+// Remove a member (owner), or leave the agency (member removing themselves).
+// Listings stay with the agency.
+const removeMember = async (req, res) => {
+  try {
+    const agency = mongoose.isValidObjectId(req.params.id) ? await Agency.findById(req.params.id) : null;
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!agency || !agency.isActive || !agency.getMember(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agency not found'
+      });
+    }
+
+    if (!isSelf && !agency.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Only agency owners can do this'
+      });
+    }
+
+    const member = agency.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && countOwners(agency) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The agency must keep at least one owner'
+      });
+    }
+
+    member.deleteOne();
+    await agency.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the agency' : 'Member removed'
+    });
+  } catch (error) {
+    logger.error('Error removing agency member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing agency member',
+      error: error.message
+    });
+  }
+};
+
+// All listings of the agency, published or not (owner). Filters: ?agentId=, ?status=
+const getAgencyListings = async (req, res) => {
+  try {
+    const agency = await findOwnedAgency(req, res);
+    if (!agency) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const maxLimit = 50;
+    const actualLimit = Math.min(limit, maxLimit);
+    const skip = (page - 1) * actualLimit;
+
+    const filter = { agencyId: agency._id };
+    if (req.query.agentId) filter.createdBy = req.query.agentId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const [total, listings] = await Promise.all([
+      Listing.countDocuments(filter),
+      Listing.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(actualLimit)
+        .populate('createdBy', 'firstName lastName email')
+    ]);
+
+    const totalPages = Math.ceil(total / actualLimit);
+
+    res.status(200).json({
+      success: true,
+      listings,
+      pagination: {
+        total,
+        count: listings.length,
+        page,
+        limit: actualLimit,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching agency listings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agency listings',
+      error: error.message
+    });
+  }
+};
+
+// Subscription payments made for the agency's listings (owner)
+const getAgencyPayments = async (req, res) => {
+  try {
+    const agency = await findOwnedAgency(req, res);
+    if (!agency) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const listingIds = await Listing.find({ agencyId: agency._id }).distinct('_id');
+    const filter = {
+      listingId: { $in: listingIds },
+      purpose: { $ne: 'booking_deposit' }
+    };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [total, payments] = await Promise.all([
+      Payment.countDocuments(filter),
+      Payment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-responseData -webhookData')
+        .populate('listingId', 'title images status paymentStatus expiryDate')
+        .populate('userId', 'firstName lastName email')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: payments,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching agency payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agency payments',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createAgency,
+  getMyAgency,
+  getAgency,
+  updateAgency,
+  inviteMember,
+  getMyInvitations,
+  acceptInvitation,
+  cancelInvitation,
+  updateMemberRole,
+  removeMember,
+  getAgencyListings,
+  getAgencyPayments
+};
@@ -0,0 +1,699 @@
+const validator = require('validator');
+const Booking = require('../models/Booking');
+const RentalCalendar = require('../models/RentalCalendar');
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+const {
+  DEPOSIT_PERCENT,
+  DEPOSIT_HOLD_MINUTES,
+  computeDeposit,
+  notifyUser,
+  bookingMessage
+} = require('../services/bookingService');
+const {
+  DAY_MS,
+  parseDay,
+  formatDay,
+  today,
+  countNights,
+  listNights,
+  checkStayRules,
+  findHeldBookings,
+  getUnavailableRanges,
+  exportCalendar,
+  applyImportedEvents,
+  importFromUrl
+} = require('../services/calendarService');
+
+const DEFAULT_CALENDAR_DAYS = 180;
+const MAX_CALENDAR_DAYS = 365;
+
+// Load a daily rental listing owned by the current user
+const findOwnedDailyListing = async (req, res) => {
+  const listing = await Listing.findOne({ _id: req.params.listingId, isDeleted: false })
+    .select('title createdBy listingType');
+
+  if (!listing || listing.listingType !== 'daily') {
+    res.status(404).json({
+      success: false,
+      message: 'Daily rental listing not found'
+    });
+    return null;
+  }
+
+  if (listing.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Forbidden: You can only manage the calendar of your own listings'
+    });
+    return null;
+  }
+
+  return listing;
+};
+
+// Accept http(s) and webcal links, the usual form of calendar export URLs
+const normalizeCalendarUrl = (url) => {
+  const normalized = String(url).trim().replace(/^webcal:\/\//i, 'https://');
+  return validator.isURL(normalized, { protocols: ['http', 'https'], require_protocol: true })
+    ? normalized
+    : null;
+};
+
+const getExportUrl = (req, listingId, calendar) =>
+  `${req.protocol}://${req.get('host')}/api/bookings/listings/${listingId}/calendar.ics?token=${calendar.icalExportToken}`;
+
+// Availability of a daily rental (public); the owner also gets the full settings
+const getCalendar = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({ _id: req.params.listingId, isDeleted: false })
+      .select('createdBy listingType priceDaily currency');
+
+    if (!listing || listing.listingType !== 'daily') {
+      return res.status(404).json({
+        success: false,
+        message: 'Daily rental listing not found'
+      });
+    }
+
+    const from = req.query.from ? parseDay(req.query.from) : today();
+    const to = req.query.to ? parseDay(req.query.to) : new Date(from.getTime() + DEFAULT_CALENDAR_DAYS * DAY_MS);
+
+    if (!from || !to || to <= from || countNights(from, to) > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid date range (maximum ${MAX_CALENDAR_DAYS} days)`
+      });
+    }
+
+    const calendar = await RentalCalendar.findOrCreate(listing._id);
+    const unavailable = await getUnavailableRanges(calendar, from, to);
+    const isOwner = req.user && listing.createdBy.toString() === req.user._id.toString();
+
+    res.status(200).json({
+      success: true,
+      calendar: {
+        listingId: listing._id,
+        priceDaily: listing.priceDaily,
+        currency: listing.currency,
+        minNights: calendar.minNights,
+        maxNights: calendar.maxNights,
+        checkInDays: calendar.checkInDays,
+        checkOutDays: calendar.checkOutDays,
+        from: formatDay(from),
+        to: formatDay(to),
+        unavailable,
+        ...(isOwner && {
+          blockedDates: calendar.blockedDates,
+          icalImportUrl: calendar.icalImportUrl,
+          lastImportedAt: calendar.lastImportedAt,
+          icalExportUrl: getExportUrl(req, listing._id, calendar)
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching rental calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rental calendar',
+      error: error.message
+    });
+  }
+};
+
+// Update stay rules and the iCal import URL (host)
+const updateCalendarSettings = async (req, res) => {
+  try {
+    const listing = await findOwnedDailyListing(req, res);
+    if (!listing) return;
+
+    const calendar = await RentalCalendar.findOrCreate(listing._id);
+    const { minNights, maxNights, checkInDays, checkOutDays, icalImportUrl } = req.body;
+
+    if (minNights !== undefined) calendar.minNights = minNights;
+    if (maxNights !== undefined) calendar.maxNights = maxNights;
+
+    for (const [field, value] of [['checkInDays', checkInDays], ['checkOutDays', checkOutDays]]) {
+      if (value === undefined) continue;
+      if (!Array.isArray(value) || value.some(day => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be an array of weekdays from 0 (Sunday) to 6 (Saturday)`
+        });
+      }
+      calendar[field] = [...new Set(value.map(Number))].sort();
+    }
+
+    if (calendar.minNights > calendar.maxNights) {
+      return res.status(400).json({
+        success: false,
+        message: 'minNights cannot be greater than maxNights'
+      });
+    }
+
+    if (icalImportUrl !== undefined) {
+      if (!icalImportUrl) {
+        calendar.icalImportUrl = null;
+        calendar.blockedDates = calendar.blockedDates.filter(block => block.source !== 'ical');
+      } else {
+        const url = normalizeCalendarUrl(icalImportUrl);
+        if (!url) {
+          return res.status(400).json({
+            success: false,
+            message: 'icalImportUrl must be a valid http(s) or webcal URL'
+          });
+        }
+        calendar.icalImportUrl = url;
+      }
+    }
+
+    await calendar.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar settings updated',
+      calendar,
+      icalExportUrl: getExportUrl(req, listing._id, calendar)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Error updating rental calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating rental calendar',
+      error: error.message
+    });
+  }
+};
+
+// Close a date range (host); the end date is exclusive, like a check-out day
+const addBlockedDates = async (req, res) => {
+  try {
+    const listing = await findOwnedDailyListing(req, res);
+    if (!listing) return;
+
+    const start = parseDay(req.body.start);
+    const end = parseDay(req.body.end);
+
+    if (!start || !end || end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end dates are required, end after start'
+      });
+    }
+
+    const [booking] = await findHeldBookings(listing._id, start, end).limit(1);
+    if (booking) {
+      return res.status(409).json({
+        success: false,
+        message: 'These dates overlap a booking. Cancel the booking first',
+        conflictingBookingId: booking._id
+      });
+    }
+
+    const calendar = await RentalCalendar.findOrCreate(listing._id);
+    calendar.blockedDates.push({ start, end, reason: req.body.reason, source: 'manual' });
+    await calendar.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Dates blocked',
+      blockedDates: calendar.blockedDates
+    });
+  } catch (error) {
+    logger.error('Error blocking dates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error blocking dates',
+      error: error.message
+    });
+  }
+};
+
+// Reopen a manually blocked range (host)
+const removeBlockedDates = async (req, res) => {
+  try {
+    const listing = await findOwnedDailyListing(req, res);
+    if (!listing) return;
+
+    const calendar = await RentalCalendar.findOrCreate(listing._id);
+    const block = calendar.blockedDates.id(req.params.blockId);
+
+    if (!block || block.source !== 'manual') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocked range not found. Imported ranges are removed by the next sync'
+      });
+    }
+
+    block.deleteOne();
+    await calendar.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Dates unblocked',
+      blockedDates: calendar.blockedDates
+    });
+  } catch (error) {
+    logger.error('Error unblocking dates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unblocking dates',
+      error: error.message
+    });
+  }
+};
+
+// iCal feed for other platforms, protected by the secret token of the export link
+const exportIcal = async (req, res) => {
+  try {
+    const calendar = await RentalCalendar.findOne({ listingId: req.params.listingId });
+
+    if (!calendar || !req.query.token || req.query.token !== calendar.icalExportToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const listing = await Listing.findOne({ _id: calendar.listingId, isDeleted: false }).select('title');
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const ics = await exportCalendar(listing, calendar);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="ndaku-${listing._id}.ics"`);
+    res.status(200).send(ics);
+  } catch (error) {
+    logger.error('Error exporting iCal calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting iCal calendar',
+      error: error.message
+    });
+  }
+};
+
+// Import blocked dates now (host), from the saved URL, a new { url } or a raw { ics } text
+const importIcal = async (req, res) => {
+  try {
+    const listing = await findOwnedDailyListing(req, res);
+    if (!listing) return;
+
+    const calendar = await RentalCalendar.findOrCreate(listing._id);
+    let count;
+
+    if (req.body.ics) {
+      if (!String(req.body.ics).includes('BEGIN:VCALENDAR')) {
+        return res.status(400).json({
+          success: false,
+          message: 'ics must be an iCal calendar'
+        });
+      }
+      count = await applyImportedEvents(calendar, String(req.body.ics));
+    } else {
+      if (req.body.url) {
+        const url = normalizeCalendarUrl(req.body.url);
+        if (!url) {
+          return res.status(400).json({
+            success: false,
+            message: 'url must be a valid http(s) or webcal URL'
+          });
+        }
+        calendar.icalImportUrl = url;
+      }
+
+      if (!calendar.icalImportUrl) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a calendar url or ics text to import'
+        });
+      }
+
+      try {
+        count = await importFromUrl(calendar);
+      } catch (error) {
+        logger.warn('iCal import failed', { listingId: listing._id, error: error.message });
+        return res.status(502).json({
+          success: false,
+          message: 'Could not import the calendar from this URL'
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${count} blocked range(s) imported`,
+      blockedDates: calendar.blockedDates,
+      lastImportedAt: calendar.lastImportedAt
+    });
+  } catch (error) {
+    logger.error('Error importing iCal calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing iCal calendar',
+      error: error.message
+    });
+  }
+};
+
+// Request a stay on a daily rental (guest)
+const createBooking = async (req, res) => {
+  try {
+    const { listingId, guests, message } = req.body;
+    const checkIn = parseDay(req.body.checkIn);
+    const checkOut = parseDay(req.body.checkOut);
+
+    if (!listingId || !checkIn || !checkOut) {
+      return res.status(400).json({
+        success: false,
+        message: 'listingId, checkIn and checkOut are required'
+      });
+    }
+
+    const listing = await Listing.findOne({
+      _id: listingId,
+      isDeleted: false,
+      listingType: 'daily',
+      status: 'available',
+      activeSubscription: true
+    }).select('title createdBy priceDaily currency');
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'This listing is not available for booking'
+      });
+    }
+
+    if (listing.createdBy.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book your own listing'
+      });
+    }
+
+    const calendar = await RentalCalendar.findOrCreate(listing._id);
+    const ruleError = checkStayRules(calendar, checkIn, checkOut);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const [conflict] = await findHeldBookings(listing._id, checkIn, checkOut).limit(1);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'These dates are already booked'
+      });
+    }
+
+    const nights = listNights(checkIn, checkOut);
+    const totalPrice = listing.priceDaily * nights.length;
+    const depositAmount = computeDeposit(totalPrice);
+    const needsDeposit = depositAmount > 0;
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        listingId: listing._id,
+        hostId: listing.createdBy,
+        guestId: req.user._id,
+        checkIn,
+        checkOut,
+        nights,
+        guests,
+        message,
+        pricePerNight: listing.priceDaily,
+        totalPrice,
+        currency: listing.currency,
+        status: needsDeposit ? 'awaiting_deposit' : 'pending',
+        deposit: {
+          amount: depositAmount,
+          status: needsDeposit ? 'unpaid' : 'none'
+        },
+        holdExpiresAt: needsDeposit ? new Date(Date.now() + DEPOSIT_HOLD_MINUTES * 60 * 1000) : null
+      });
+    } catch (error) {
+      // Another request took one of the nights in the meantime
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'These dates were just booked by someone else'
+        });
+      }
+      throw error;
+    }
+
+    if (needsDeposit) {
+      return res.status(201).json({
+        success: true,
+        message: `Dates held for ${DEPOSIT_HOLD_MINUTES} minutes. Pay the deposit to send the request to the host`,
+        booking,
+        deposit: {
+          amount: depositAmount,
+          currency: booking.currency,
+          percent: DEPOSIT_PERCENT,
+          expiresAt: booking.holdExpiresAt
+        }
+      });
+    }
+
+    notifyUser(listing.createdBy, bookingMessage(
+      'Nouvelle demande de réservation',
+      booking,
+      listing,
+      `\nDe : ${req.user.firstName} ${req.user.lastName}\nConfirmez la réservation depuis votre espace Ndaku.`
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking requested. The host will confirm shortly',
+      booking
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Error creating booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating booking',
+      error: error.message
+    });
+  }
+};
+
+// List the current user's bookings (?as=guest|host, ?status=, ?listingId=)
+const getMyBookings = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const maxLimit = 50;
+    const actualLimit = Math.min(limit, maxLimit);
+    const skip = (page - 1) * actualLimit;
+
+    const filter = req.query.as === 'host'
+      ? { hostId: req.user._id }
+      : { guestId: req.user._id };
+
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.listingId) filter.listingId = req.query.listingId;
+
+    const [total, bookings] = await Promise.all([
+      Booking.countDocuments(filter),
+      Booking.find(filter)
+        .sort({ checkIn: -1 })
+        .skip(skip)
+        .limit(actualLimit)
+        .select('-nights')
+        .populate('listingId', 'title images address quartier commune')
+        .populate('guestId', 'firstName lastName phoneNumber')
+        .populate('hostId', 'firstName lastName')
+    ]);
+
+    const totalPages = Math.ceil(total / actualLimit);
+
+    res.status(200).json({
+      success: true,
+      bookings,
+      pagination: {
+        total,
+        count: bookings.length,
+        page,
+        limit: actualLimit,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching bookings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bookings',
+      error: error.message
+    });
+  }
+};
+
+// Get one booking (guest or host)
+const getBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('-nights')
+      .populate('listingId', 'title images address quartier commune')
+      .populate('guestId', 'firstName lastName phoneNumber')
+      .populate('hostId', 'firstName lastName');
+
+    const userId = req.user._id.toString();
+    if (!booking || (booking.guestId._id.toString() !== userId && booking.hostId._id.toString() !== userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      booking
+    });
+  } catch (error) {
+    logger.error('Error fetching booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking',
+      error: error.message
+    });
+  }
+};
+
+// Accept a pending booking (host)
+const confirmBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: req.params.id, hostId: req.user._id, status: 'pending' },
+      { $set: { status: 'confirmed', confirmedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending booking not found'
+      });
+    }
+
+    const listing = await Listing.findById(booking.listingId).select('title address quartier commune');
+    notifyUser(booking.guestId, bookingMessage(
+      'Réservation confirmée',
+      booking,
+      listing,
+      `\nAdresse : ${listing.address}, ${listing.quartier}, ${listing.commune}`
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking confirmed',
+      booking
+    });
+  } catch (error) {
+    logger.error('Error confirming booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming booking',
+      error: error.message
+    });
+  }
+};
+
+// Refuse a pending booking (host), or cancel a pending or confirmed one (guest or host)
+const updateBookingStatus = (action) => async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    const userId = req.user._id.toString();
+
+    const isHost = booking && booking.hostId.toString() === userId;
+    const isGuest = booking && booking.guestId.toString() === userId;
+
+    if (!booking || (action === 'decline' ? !isHost : !isHost && !isGuest)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const allowed = action === 'decline' ? ['pending'] : ['awaiting_deposit', 'pending', 'confirmed'];
+    if (!allowed.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking is already ${booking.status}`
+      });
+    }
+
+    if (action === 'cancel' && booking.checkOut <= today()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A past stay cannot be cancelled'
+      });
+    }
+
+    // The host is only told about requests whose deposit was paid
+    const wasAwaitingDeposit = booking.status === 'awaiting_deposit';
+    await booking.release(action === 'decline' ? 'declined' : 'cancelled', isHost ? 'host' : 'guest');
+
+    const listing = await Listing.findById(booking.listingId).select('title');
+    const extra = req.body.reason ? `\nMotif : ${req.body.reason}` : '';
+    if (isHost) {
+      const title = action === 'decline' ? 'Réservation refusée' : 'Réservation annulée par l\'hôte';
+      notifyUser(booking.guestId, bookingMessage(title, booking, listing, extra));
+    } else if (!wasAwaitingDeposit) {
+      notifyUser(booking.hostId, bookingMessage('Réservation annulée par le voyageur', booking, listing, extra));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: action === 'decline' ? 'Booking declined' : 'Booking cancelled',
+      booking
+    });
+  } catch (error) {
+    logger.error(`Error updating booking (${action}):`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating booking',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCalendar,
+  updateCalendarSettings,
+  addBlockedDates,
+  removeBlockedDates,
+  exportIcal,
+  importIcal,
+  createBooking,
+  getMyBookings,
+  getBooking,
+  confirmBooking,
+  declineBooking: updateBookingStatus('decline'),
+  cancelBooking: updateBookingStatus('cancel')
+};
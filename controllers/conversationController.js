@@ -0,0 +1,385 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { sendNotification, getFrontendUrl } = require('../services/notificationService');
+const { notHeldFilter } = require('../services/moderationService');
+
+const PREVIEW_LENGTH = 120;
+
+const toPreview = (body) => body.length > PREVIEW_LENGTH
+  ? `${body.substring(0, PREVIEW_LENGTH - 1)}…`
+  : body;
+
+// Tell the other participant about a new message, only when their thread was fully read
+// so a burst of messages produces a single notification
+const notifyRecipient = async (conversation, listing, sender, body, recipientRole) => {
+  try {
+    let phoneNumber;
+    if (recipientRole === 'lister') {
+      phoneNumber = listing.listerPhoneNumber;
+    } else {
+      const seeker = await User.findById(conversation.seekerId).select('phoneNumber');
+      phoneNumber = seeker?.phoneNumber;
+    }
+
+    const message = `💬 *Nouveau message sur Ndaku*
+
+${sender.firstName} au sujet de « ${listing.title} » :
+"${toPreview(body)}"
+
+Répondez ici : ${getFrontendUrl(`/dashboard/messages/${conversation._id}`)}`;
+
+    const result = await sendNotification(phoneNumber, message, { channel: 'whatsapp' });
+    if (!result.success) {
+      logger.warn('Conversation notification not delivered', {
+        conversationId: conversation._id,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    logger.error('Error notifying conversation participant', {
+      conversationId: conversation._id,
+      error: error.message
+    });
+  }
+};
+
+// Save a message and update the thread summary and unread counter
+const appendMessage = async (conversation, senderId, body) => {
+  const message = await Message.create({
+    conversationId: conversation._id,
+    senderId,
+    body
+  });
+
+  const recipientRole = conversation.roleOf(senderId) === 'lister' ? 'seeker' : 'lister';
+  const unreadField = recipientRole === 'lister' ? 'listerUnreadCount' : 'seekerUnreadCount';
+  const wasRead = conversation[unreadField] === 0;
+
+  conversation[unreadField] += 1;
+  conversation.lastMessageAt = message.createdAt;
+  conversation.lastMessagePreview = toPreview(message.body);
+  await conversation.save();
+
+  return { message, recipientRole, wasRead };
+};
+
+// Start an inquiry on a listing (or add to the existing thread with its lister)
+const startConversation = async (req, res) => {
+  try {
+    const { listingId, message: body } = req.body;
+
+    if (!listingId || !body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'listingId and message are required'
+      });
+    }
+
+    const listing = await Listing.findOne({ _id: listingId, isDeleted: false, ...notHeldFilter() });
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.createdBy.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot send an inquiry on your own listing'
+      });
+    }
+
+    let conversation = await Conversation.findOne({ listingId, seekerId: req.user._id });
+    const isNew = !conversation;
+
+    if (isNew) {
+      conversation = new Conversation({
+        listingId,
+        seekerId: req.user._id,
+        listerId: listing.createdBy
+      });
+    }
+
+    const { message, recipientRole, wasRead } = await appendMessage(conversation, req.user._id, String(body));
+
+    if (wasRead) {
+      notifyRecipient(conversation, listing, req.user, message.body, recipientRole);
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Inquiry sent successfully' : 'Message sent successfully',
+      conversation,
+      sentMessage: message
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.body?.message || 'Validation failed'
+      });
+    }
+
+    logger.error('Error starting conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting conversation',
+      error: error.message
+    });
+  }
+};
+
+// List the current user's threads, newest activity first
+const getConversations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const maxLimit = 50;
+    const actualLimit = Math.min(limit, maxLimit);
+    const skip = (page - 1) * actualLimit;
+
+    // ?as=seeker or ?as=lister narrows to one side
+    let filter;
+    if (req.query.as === 'seeker') {
+      filter = { seekerId: req.user._id };
+    } else if (req.query.as === 'lister') {
+      filter = { listerId: req.user._id };
+    } else {
+      filter = { $or: [{ seekerId: req.user._id }, { listerId: req.user._id }] };
+    }
+
+    if (req.query.listingId) {
+      filter.listingId = req.query.listingId;
+    }
+
+    const [total, conversations] = await Promise.all([
+      Conversation.countDocuments(filter),
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(actualLimit)
+        .populate('listingId', 'title images commune status')
+        .populate('seekerId', 'firstName lastName')
+        .populate('listerId', 'firstName lastName')
+    ]);
+
+    const formattedConversations = conversations.map(conversation => {
+      const plain = conversation.toObject();
+      const role = conversation.listerId._id.toString() === req.user._id.toString() ? 'lister' : 'seeker';
+      return {
+        ...plain,
+        role,
+        unreadCount: role === 'lister' ? plain.listerUnreadCount : plain.seekerUnreadCount
+      };
+    });
+
+    const totalPages = Math.ceil(total / actualLimit);
+
+    res.status(200).json({
+      success: true,
+      conversations: formattedConversations,
+      pagination: {
+        total,
+        count: formattedConversations.length,
+        page,
+        limit: actualLimit,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversations',
+      error: error.message
+    });
+  }
+};
+
+// Get the messages of a thread, newest first; pass ?before=<ISO date> to load older ones
+const getMessages = async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('listingId', 'title images commune status');
+
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const filter = { conversationId: conversation._id };
+
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid before date'
+        });
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const messages = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      conversation,
+      messages,
+      hasMore: messages.length === limit
+    });
+  } catch (error) {
+    logger.error('Error fetching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching messages',
+      error: error.message
+    });
+  }
+};
+
+// Reply in an existing thread
+const sendMessage = async (req, res) => {
+  try {
+    const { message: body } = req.body;
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'message is required'
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const listing = await Listing.findById(conversation.listingId).select('title listerPhoneNumber');
+    if (!listing) {
+      return res.status(410).json({
+        success: false,
+        message: 'This listing is no longer available'
+      });
+    }
+
+    const { message, recipientRole, wasRead } = await appendMessage(conversation, req.user._id, String(body));
+
+    if (wasRead) {
+      notifyRecipient(conversation, listing, req.user, message.body, recipientRole);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      sentMessage: message
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.body?.message || 'Validation failed'
+      });
+    }
+
+    logger.error('Error sending message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending message',
+      error: error.message
+    });
+  }
+};
+
+// Mark all messages from the other participant as read
+const markAsRead = async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const now = new Date();
+    const result = await Message.updateMany(
+      { conversationId: conversation._id, senderId: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt: now } }
+    );
+
+    const unreadField = conversation.roleOf(req.user._id) === 'lister' ? 'listerUnreadCount' : 'seekerUnreadCount';
+    conversation[unreadField] = 0;
+    await conversation.save();
+
+    res.status(200).json({
+      success: true,
+      markedCount: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error('Error marking conversation as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking conversation as read',
+      error: error.message
+    });
+  }
+};
+
+// Total unread messages for the current user, for the navigation badge
+const getUnreadCount = async (req, res) => {
+  try {
+    const [result] = await Conversation.aggregate([
+      { $match: { $or: [{ seekerId: req.user._id }, { listerId: req.user._id }] } },
+      {
+        $group: {
+          _id: null,
+          unread: {
+            $sum: {
+              $cond: [
+                { $eq: ['$listerId', req.user._id] },
+                '$listerUnreadCount',
+                '$seekerUnreadCount'
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      unreadCount: result ? result.unread : 0
+    });
+  } catch (error) {
+    logger.error('Error fetching unread count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markAsRead,
+  getUnreadCount
+};
@@ -0,0 +1,113 @@
+const ListingDuplicate = require('../models/ListingDuplicate');
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+
+const LISTING_SUMMARY_FIELDS = 'title address quartier commune listingType priceMonthly priceSale priceDaily currency images createdBy isDeleted status createdAt';
+
+// Get the probable duplicates to review, most similar first (admin)
+const getDuplicateQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.sameOwner === 'true' || req.query.sameOwner === 'false') {
+      filter.sameOwner = req.query.sameOwner === 'true';
+    }
+
+    const populateListing = path => ({
+      path,
+      select: LISTING_SUMMARY_FIELDS,
+      populate: { path: 'createdBy', select: 'firstName lastName email phoneNumber' }
+    });
+
+    const [total, duplicates] = await Promise.all([
+      ListingDuplicate.countDocuments(filter),
+      ListingDuplicate.find(filter)
+        .sort({ score: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(populateListing('listingId'))
+        .populate(populateListing('duplicateOfId'))
+    ]);
+
+    res.status(200).json({
+      success: true,
+      duplicates,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching duplicate queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching duplicate queue',
+      error: error.message
+    });
+  }
+};
+
+// Confirm or dismiss a probable duplicate (admin); confirming can hide the re-posted listing
+const reviewDuplicate = async (req, res) => {
+  try {
+    const { status, note, hideListing } = req.body;
+
+    if (!['confirmed', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be confirmed or dismissed'
+      });
+    }
+
+    const duplicate = await ListingDuplicate.findById(req.params.id);
+    if (!duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate not found'
+      });
+    }
+
+    duplicate.status = status;
+    duplicate.reviewNote = note;
+    duplicate.reviewedBy = req.user._id;
+    duplicate.reviewedAt = new Date();
+    await duplicate.save();
+
+    let listingHidden = false;
+    if (status === 'confirmed' && (hideListing === true || hideListing === 'true')) {
+      const result = await Listing.updateOne({ _id: duplicate.listingId }, { $set: { isDeleted: true } });
+      listingHidden = result.modifiedCount > 0;
+    }
+
+    logger.info('Duplicate reviewed', {
+      duplicateId: duplicate._id,
+      status,
+      listingHidden,
+      adminId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Duplicate ${status}`,
+      duplicate,
+      listingHidden
+    });
+  } catch (error) {
+    logger.error('Error reviewing duplicate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing duplicate',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDuplicateQueue,
+  reviewDuplicate
+};
@@ -0,0 +1,100 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const logger = require('../config/logger');
+const { getCurrentExchangeRate, clearExchangeRateCache } = require('../services/exchangeRateService');
+const { runExchangeRateSync } = require('../Jobs/exchangeRateSyncJob');
+
+// List published rates, newest effective date first, with the one in effect (admin)
+const getExchangeRates = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [rates, current] = await Promise.all([
+      ExchangeRate.find({})
+        .sort({ effectiveFrom: -1, createdAt: -1 })
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email'),
+      getCurrentExchangeRate()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      current,
+      rates
+    });
+  } catch (error) {
+    logger.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates',
+      error: error.message
+    });
+  }
+};
+
+// Publish a USD to CDF rate, effective now or from a given date (admin).
+// Rates are never edited so past payments can be reconciled against them.
+const publishExchangeRate = async (req, res) => {
+  try {
+    const rate = parseFloat(req.body.rate);
+    if (isNaN(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'rate must be a positive number of CDF for 1 USD'
+      });
+    }
+
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+    if (isNaN(effectiveFrom.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid effectiveFrom date'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      rate,
+      effectiveFrom,
+      note: req.body.note,
+      createdBy: req.user._id
+    });
+    clearExchangeRateCache();
+
+    logger.info('Exchange rate published', {
+      exchangeRateId: exchangeRate._id,
+      rate,
+      effectiveFrom,
+      userId: req.user._id
+    });
+
+    // Rates already in effect are applied to listing prices right away; later ones by the sync job
+    if (effectiveFrom <= new Date()) {
+      runExchangeRateSync().catch(error => {
+        logger.error('Error syncing listing prices after rate change:', error);
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: effectiveFrom <= new Date() ? 'Exchange rate published' : 'Exchange rate scheduled',
+      exchangeRate
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error publishing exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing exchange rate',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  publishExchangeRate
+};
@@ -1,23 +1,51 @@
 const Listing = require('../models/Listing');
+const Favorite = require('../models/Favorite');
 const fs = require('fs');
 const logger = require('../config/logger');
 const { deleteFileFromS3 } = require('../config/s3');
-
-// Helper function to validate listing data
-const validateListingData = (body) => {
-  const requiredFields = [
-    'listerFirstName', 'listerLastName', 'listerEmailAddress',
-    'listerPhoneNumber', 'typeOfListing', 'listingType',
-    'address', 'quartier', 'commune', 'district', 'ville'
-  ];
-
-  const missingFields = requiredFields.filter(field => !body[field]);
-
-  if (missingFields.length > 0) {
-    return { isValid: false, missingFields };
+const { parseCoordinates, haversineKm } = require('../utils/geo');
+const { validateListingData } = require('../utils/listingValidation');
+const { validateListingLocation } = require('../services/locationService');
+const { PRICE_BUCKETS, priceDropSince, buildListingFilter, buildFacetFilters } = require('../utils/listingFilters');
+const { encodeCursor, decodeCursor, buildCursorCondition } = require('../utils/listingCursor');
+const { buildScoreExpression, highlightListing } = require('../services/searchService');
+const { findSimilarListings } = require('../services/similarListingService');
+const { notifyFavoritesOfPriceDrop } = require('../services/priceDropService');
+const { hashUploadedImages, checkForDuplicates, flagDuplicates } = require('../services/duplicateDetectionService');
+const {
+  HELD_STATUSES,
+  isHeldForModeration,
+  notHeldFilter,
+  needsNewReview,
+  submitForReview
+} = require('../services/moderationService');
+const {
+  AGENCY_BRANDING_FIELDS,
+  findUserAgency,
+  manageableListingFilter,
+  canManageListing
+} = require('../services/agencyService');
+const { EVENT_TYPES, recordListingEvent, getListingStats: getListingStatsData } = require('../services/analyticsService');
+
+// Convert a listing document to a plain object for API responses
+const formatListing = (listing) => {
+  const plainListing = listing.toObject();
+
+  // If images are stored as objects with url and public_id, extract just the URLs
+  if (plainListing.images.length > 0 && typeof plainListing.images[0] === 'object') {
+    plainListing.images = plainListing.images.map(img => img.url);
   }
 
-  return { isValid: true };
+  return plainListing;
+};
+
+// Leave the lister's contact details out of public responses; seekers reach listers
+// through conversations
+const hideListerContact = (plainListing) => {
+  delete plainListing.listerPhoneNumber;
+  delete plainListing.listerEmailAddress;
+  if (plainListing.createdBy) delete plainListing.createdBy.email;
+  return plainListing;
 };
 
 // Create a new listing
@@ -53,6 +81,15 @@ const addListing = async (req, res) => {
       });
     }
 
+    // Ville, commune and quartier must exist in the location hierarchy
+    const locationCheck = await validateListingLocation(req.body);
+    if (!locationCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: locationCheck.error
+      });
+    }
+
     // Validate images
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -61,6 +98,9 @@ const addListing = async (req, res) => {
       });
     }
 
+    // Photo hashes for duplicate detection, before local uploads are cleaned up
+    const imageHashes = await hashUploadedImages(req.files);
+
     // Get image URLs based on upload method (S3 or Cloudinary)
     let imageUrls = [];
     if (req.files[0].location) {
@@ -87,8 +127,8 @@ const addListing = async (req, res) => {
       imageUrls = uploadResults.map(img => img.secure_url);
     }
 
-    // Create a processed data object for the listing
-    const processedData = { ...req.body };
+    // Create a processed data object for the listing, with the official location names
+    const processedData = { ...req.body, ...locationCheck.location };
 
     // Parse details if provided as string
     if (req.body.details) {
@@ -234,6 +274,23 @@ const addListing = async (req, res) => {
     delete processedData.debugPriceDaily;
     delete processedData.price; // Remove generic price field
 
+    // Handle map coordinates
+    const coordinates = parseCoordinates(req.body);
+    if (coordinates.provided && !coordinates.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates. Latitude must be between -90 and 90 and longitude between -180 and 180'
+      });
+    }
+    if (coordinates.provided) {
+      processedData.location = coordinates.point;
+    }
+    delete processedData.latitude;
+    delete processedData.longitude;
+    delete processedData.lat;
+    delete processedData.lng;
+    delete processedData.coordinates;
+
     // Add images to the processed data
     processedData.images = imageUrls;
 
@@ -241,6 +298,22 @@ const addListing = async (req, res) => {
     processedData.createdBy = req.user._id;
     processedData.isDeleted = false;
 
+    // Agents publish under their agency
+    const agency = await findUserAgency(req.user._id);
+    processedData.agencyId = agency ? agency._id : null;
+
+    // Re-posts of an existing listing are flagged for review, or refused when exact and blocking is on
+    const { signature, duplicates, blockedBy } = await checkForDuplicates(processedData, imageHashes, { userId: req.user._id });
+    if (blockedBy) {
+      imageUrls.forEach(url => deleteFileFromS3(url));
+      return res.status(409).json({
+        success: false,
+        message: 'This listing is identical to an existing listing',
+        duplicateOf: blockedBy.listingId
+      });
+    }
+    processedData.duplicateSignature = signature;
+
     // Log the processed data right before saving
     console.log("Processed data before saving:", JSON.stringify(processedData, null, 2));
 
@@ -250,6 +323,10 @@ const addListing = async (req, res) => {
 
     console.log("Saved listing:", JSON.stringify(savedListing, null, 2));
 
+    flagDuplicates(savedListing, duplicates).catch(err => {
+      logger.error('Failed to flag duplicate listing', { listingId: savedListing._id, error: err.message });
+    });
+
     return res.status(201).json({
       success: true,
       message: 'Listing created successfully',
@@ -283,6 +360,17 @@ const addListing = async (req, res) => {
   }
 };
 
+// sortBy values of the public feed and the field they sort on.
+// Prices sort on the normalized USD price so USD and CDF listings are ordered together.
+const SORT_KEYS = {
+  createdAt: 'createdAt',
+  price: 'priceUSD',
+  priceMonthly: 'priceUSD',
+  priceSale: 'priceUSD',
+  priceDaily: 'priceUSD'
+};
+const SORT_FIELDS = Object.keys(SORT_KEYS);
+
 // Get all published listings with filters and pagination
 const getAllListings = async (req, res) => {
   try {
@@ -293,136 +381,156 @@ const getAllListings = async (req, res) => {
     const actualLimit = Math.min(limit, maxLimit);
     const skip = (page - 1) * actualLimit;
 
-    // Extract filtering parameters
-    const {
-      commune,
-      ville,
-      quartier,
-      typeOfListing,
-      listingType,
-      priceMin,
-      priceMax,
-      bedrooms,
-      bathrooms,
-      furnished,
-      sortBy,
-      sortOrder,
-      search
-    } = req.query;
-
-    const filter = { isDeleted: false };
-
-    if (req.query.activeOnly !== 'false') {
-      filter.activeSubscription = true;
-    }
-
-    // Apply location filters
-    if (commune) filter.commune = commune;
-    if (ville) filter.ville = ville;
-    if (quartier) filter.quartier = quartier;
-
-    // Apply property type filters
-    if (typeOfListing) filter.typeOfListing = typeOfListing;
-    if (listingType) filter.listingType = listingType;
-
-    // Apply feature filters
-    if (bedrooms) filter['details.bedroom'] = parseInt(bedrooms);
-    if (bathrooms) filter['details.bathroom'] = parseInt(bathrooms);
-    if (furnished === 'true') filter['details.furnished'] = true;
-
-    // Add text search if provided
-    if (search) {
-      filter.$text = { $search: search };
-    }
-
-    // Price range filter based on listing type
-    if (priceMin || priceMax) {
-      const priceFilter = {};
-
-      if (listingType === 'rent') {
-        if (priceMin) priceFilter.$gte = parseFloat(priceMin);
-        if (priceMax) priceFilter.$lte = parseFloat(priceMax);
-        filter.priceMonthly = priceFilter;
-      }
-      else if (listingType === 'daily') {
-        if (priceMin) priceFilter.$gte = parseFloat(priceMin);
-        if (priceMax) priceFilter.$lte = parseFloat(priceMax);
-        filter.priceDaily = priceFilter;
-      }
-      else if (listingType === 'sale') {
-        if (priceMin) priceFilter.$gte = parseFloat(priceMin);
-        if (priceMax) priceFilter.$lte = parseFloat(priceMax);
-        filter.priceSale = priceFilter;
-      }
-      else if (priceMin || priceMax) {
-        // If no listing type specified but price filter is used
-        const ranges = [];
-
-        if (priceMin && priceMax) {
-          ranges.push({ priceMonthly: { $gte: parseFloat(priceMin), $lte: parseFloat(priceMax) } });
-          ranges.push({ priceDaily: { $gte: parseFloat(priceMin), $lte: parseFloat(priceMax) } });
-          ranges.push({ priceSale: { $gte: parseFloat(priceMin), $lte: parseFloat(priceMax) } });
-        }
-        else if (priceMin) {
-          ranges.push({ priceMonthly: { $gte: parseFloat(priceMin) } });
-          ranges.push({ priceDaily: { $gte: parseFloat(priceMin) } });
-          ranges.push({ priceSale: { $gte: parseFloat(priceMin) } });
-        }
-        else if (priceMax) {
-          ranges.push({ priceMonthly: { $lte: parseFloat(priceMax) } });
-          ranges.push({ priceDaily: { $lte: parseFloat(priceMax) } });
-          ranges.push({ priceSale: { $lte: parseFloat(priceMax) } });
-        }
+    const { sortBy, sortOrder, search } = req.query;
 
-        filter.$or = ranges;
-      }
+    const { filter, geo, searchTerms, error } = buildListingFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
+    const { lat, lng, radiusKm, hasCenter } = geo;
+
+    // Distance ordering is the default when a center point is given; a search is ordered by relevance instead
+    const sortByDistance = hasCenter && !search && (sortBy === 'distance' || !sortBy);
 
     // Determine sorting options
     const sortOptions = {};
-    if (sortBy) {
-      // Valid sort fields
-      const validSortFields = ['createdAt', 'priceMonthly', 'priceSale', 'priceDaily'];
-      const field = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+    if (sortByDistance) {
+      // $nearSphere already returns documents ordered by distance
+    } else if (sortBy) {
+      const field = SORT_KEYS[sortBy] || 'createdAt';
       sortOptions[field] = sortOrder === 'asc' ? 1 : -1;
     } else {
       // Default sorting by creation date, newest first
       sortOptions.createdAt = -1;
     }
 
-    // If using text search, add score to sort criteria
-    if (search) {
-      sortOptions.score = { $meta: "textScore" };
-    }
+    const searchScores = new Map();
+    const formatFeedListing = (listing) => {
+      const plainListing = hideListerContact(formatListing(listing));
 
-    // Get total count for pagination metadata
-    const total = await Listing.countDocuments(filter);
+      // Distance from the requested point, in kilometres
+      if (hasCenter) {
+        const coords = plainListing.location?.coordinates;
+        plainListing.distanceKm = coords
+          ? Math.round(haversineKm(lat, lng, coords[1], coords[0]) * 100) / 100
+          : null;
+      }
 
-    // Execute the paginated query
-    let listingsQuery = Listing.find(filter);
+      // Matching words of the search, wrapped in <mark>, and the relevance when ordered by it
+      if (searchTerms) {
+        plainListing.highlights = highlightListing(plainListing, searchTerms);
+        if (searchScores.has(plainListing._id.toString())) {
+          plainListing.score = searchScores.get(plainListing._id.toString());
+        }
+      }
 
-    // Add text score projection if searching
-    if (search) {
-      listingsQuery = listingsQuery.select({ score: { $meta: "textScore" } });
-    }
+      // "Price reduced" badge for recent drops
+      plainListing.priceReduced = plainListing.lastPriceDropAt && plainListing.lastPriceDropAt >= priceDropSince()
+        ? {
+          previousPriceUSD: plainListing.previousPriceUSD,
+          priceUSD: plainListing.priceUSD,
+          percent: Math.round((1 - plainListing.priceUSD / plainListing.previousPriceUSD) * 100),
+          reducedAt: plainListing.lastPriceDropAt
+        }
+        : null;
 
-    const listings = await listingsQuery
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(actualLimit)
-      .populate('createdBy', 'firstName lastName email');
+      return plainListing;
+    };
 
-    // Format listings to handle image format consistency
-    const formattedListings = listings.map(listing => {
-      const plainListing = listing.toObject();
+    // Cursor mode (?paginate=cursor, then ?cursor=<nextCursor>): pages start after the last
+    // listing seen, so new listings do not shift them, and nothing is counted
+    if (req.query.paginate === 'cursor' || req.query.cursor !== undefined) {
+      if (sortByDistance) {
+        return res.status(400).json({
+          success: false,
+          message: `Cursor pagination requires sortBy (${SORT_FIELDS.join(', ')}) when lat/lng are given`
+        });
+      }
 
-      // If images are stored as objects with url and public_id, extract just the URLs
-      if (plainListing.images.length > 0 && typeof plainListing.images[0] === 'object') {
-        plainListing.images = plainListing.images.map(img => img.url);
+      const field = SORT_KEYS[sortBy] || 'createdAt';
+      const order = sortBy && sortOrder === 'asc' ? 1 : -1;
+      const cursorFilter = { ...filter };
+
+      if (req.query.cursor) {
+        const position = decodeCursor(req.query.cursor);
+        if (!position || position.field !== field || position.order !== order) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor. Start again without a cursor when changing the sort order'
+          });
+        }
+        cursorFilter.$and = [...(filter.$and || []), buildCursorCondition(position)];
       }
 
-      return plainListing;
-    });
+      // Search still filters, but pages are ordered by the sort key rather than relevance
+      const listings = await Listing.find(cursorFilter)
+        .sort({ [field]: order, _id: order })
+        .limit(actualLimit + 1)
+        .populate('createdBy', 'firstName lastName email')
+        .populate('agencyId', AGENCY_BRANDING_FIELDS);
+
+      const hasNext = listings.length > actualLimit;
+      const pageListings = listings.slice(0, actualLimit);
+
+      return res.status(200).json({
+        success: true,
+        listings: pageListings.map(formatFeedListing),
+        pagination: {
+          mode: 'cursor',
+          count: pageListings.length,
+          limit: actualLimit,
+          hasNext,
+          nextCursor: hasNext ? encodeCursor(pageListings[pageListings.length - 1], field, order) : null
+        }
+      });
+    }
+
+    // Get total count for pagination metadata ($nearSphere is not allowed in countDocuments)
+    const total = await Listing.countDocuments(filter);
+
+    const queryFilter = { ...filter };
+    if (sortByDistance) {
+      queryFilter.location = {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [lng, lat] },
+          ...(radiusKm ? { $maxDistance: radiusKm * 1000 } : {})
+        }
+      };
+    }
+
+    let listings;
+    if (searchTerms && !sortBy) {
+      // Best matches first, then newest: rank the page, then load its listings
+      const ranked = await Listing.aggregate([
+        { $match: queryFilter },
+        { $project: { createdAt: 1, score: buildScoreExpression(searchTerms) } },
+        { $sort: { score: -1, createdAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: actualLimit }
+      ]);
+
+      const pageListings = await Listing.find({ _id: { $in: ranked.map(item => item._id) } })
+        .populate('createdBy', 'firstName lastName email')
+        .populate('agencyId', AGENCY_BRANDING_FIELDS);
+      const byId = new Map(pageListings.map(listing => [listing._id.toString(), listing]));
+
+      ranked.forEach(item => searchScores.set(item._id.toString(), item.score));
+      listings = ranked.map(item => byId.get(item._id.toString())).filter(Boolean);
+    } else {
+      // Execute the paginated query
+      listings = await Listing.find(queryFilter)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(actualLimit)
+        .populate('createdBy', 'firstName lastName email')
+        .populate('agencyId', AGENCY_BRANDING_FIELDS);
+    }
+
+    // Format listings to handle image format consistency
+    const formattedListings = listings.map(formatFeedListing);
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(total / actualLimit);
@@ -454,11 +562,210 @@ const getAllListings = async (req, res) => {
   }
 };
 
+// Count options in the given order, including the ones without results
+const withZeroCounts = (values, counts) => values.map(value => ({
+  value,
+  count: counts.find(count => count._id === value)?.count || 0
+}));
+
+// Get facet counts for the filter panel, for the same filters as the list
+const getListingFacets = async (req, res) => {
+  try {
+    const { baseFilter, selections, allSelections, error } = buildFacetFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const countBy = (facet, field) => [
+      { $match: selections[facet] },
+      { $group: { _id: field, count: { $sum: 1 } } }
+    ];
+
+    // USD price buckets of the listing types in scope
+    const selectedType = PRICE_BUCKETS[req.query.listingType] ? req.query.listingType : null;
+    const priceTypes = selectedType ? [selectedType] : Object.keys(PRICE_BUCKETS);
+    const priceFacets = priceTypes.reduce((facets, type) => {
+      const boundaries = PRICE_BUCKETS[type];
+      facets[`price_${type}`] = [
+        { $match: { ...selections.price, listingType: type, priceUSD: { $gte: 0 } } },
+        {
+          $bucket: {
+            groupBy: '$priceUSD',
+            boundaries: [...boundaries, Number.MAX_SAFE_INTEGER],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ];
+      return facets;
+    }, {});
+
+    const [result] = await Listing.aggregate([
+      { $match: baseFilter },
+      {
+        $facet: {
+          total: [{ $match: allSelections }, { $count: 'count' }],
+          commune: [...countBy('commune', '$commune'), { $sort: { count: -1, _id: 1 } }],
+          typeOfListing: countBy('typeOfListing', '$typeOfListing'),
+          listingType: countBy('listingType', '$listingType'),
+          bedrooms: [...countBy('bedrooms', '$details.bedroom'), { $sort: { _id: 1 } }],
+          ...priceFacets
+        }
+      }
+    ]);
+
+    const price = priceTypes.reduce((buckets, type) => {
+      const boundaries = PRICE_BUCKETS[type];
+      buckets[type] = boundaries.map((min, index) => ({
+        min,
+        max: boundaries[index + 1] ?? null,
+        count: result[`price_${type}`].find(bucket => bucket._id === min)?.count || 0
+      }));
+      return buckets;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      total: result.total[0]?.count || 0,
+      facets: {
+        commune: result.commune
+          .filter(item => item._id)
+          .map(item => ({ value: item._id, count: item.count })),
+        typeOfListing: withZeroCounts(Listing.schema.path('typeOfListing').enumValues, result.typeOfListing),
+        listingType: withZeroCounts(Listing.schema.path('listingType').enumValues, result.listingType),
+        bedrooms: result.bedrooms
+          .filter(item => item._id !== null && item._id !== undefined)
+          .map(item => ({ value: item._id, count: item.count })),
+        price,
+        priceCurrency: 'USD'
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching listing facets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching listing facets',
+      error: error.message
+    });
+  }
+};
+
+// Number of grid cells per map tile side; 4 gives roughly one cluster per 64px on a 256px tile
+const CLUSTER_CELLS_PER_TILE = 4;
+const MAX_CLUSTER_ZOOM = 22;
+
+// Get grid clusters of listings inside a map bounding box
+const getListingClusters = async (req, res) => {
+  try {
+    const zoom = parseInt(req.query.zoom);
+    if (isNaN(zoom) || zoom < 0 || zoom > MAX_CLUSTER_ZOOM) {
+      return res.status(400).json({
+        success: false,
+        message: `zoom must be an integer between 0 and ${MAX_CLUSTER_ZOOM}`
+      });
+    }
+
+    const { filter, geo, error } = buildListingFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!geo.bounds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bounding box is required: swLat, swLng, neLat and neLng'
+      });
+    }
+
+    const priceCurrency = req.query.priceCurrency === 'CDF' ? 'CDF' : 'USD';
+
+    // Cells are aligned on a global grid so clusters stay stable while the map is panned
+    const cellSize = 360 / (Math.pow(2, zoom) * CLUSTER_CELLS_PER_TILE);
+
+    const clusters = await Listing.aggregate([
+      { $match: filter },
+      { $sort: { isFeatured: -1, createdAt: -1 } },
+      {
+        $project: {
+          lng: { $arrayElemAt: ['$location.coordinates', 0] },
+          lat: { $arrayElemAt: ['$location.coordinates', 1] },
+          priceUSD: 1,
+          priceCDF: 1,
+          currency: 1
+        }
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: [{ $add: ['$lng', 180] }, cellSize] } },
+            y: { $floor: { $divide: [{ $add: ['$lat', 90] }, cellSize] } }
+          },
+          count: { $sum: 1 },
+          latitude: { $avg: '$lat' },
+          longitude: { $avg: '$lng' },
+          minPriceUSD: { $min: '$priceUSD' },
+          maxPriceUSD: { $max: '$priceUSD' },
+          minPriceCDF: { $min: '$priceCDF' },
+          maxPriceCDF: { $max: '$priceCDF' },
+          currencies: { $addToSet: '$currency' },
+          sampleListingId: { $first: '$_id' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    const formattedClusters = clusters.map(cluster => ({
+      id: `${zoom}:${cluster._id.x}:${cluster._id.y}`,
+      latitude: cluster.latitude,
+      longitude: cluster.longitude,
+      count: cluster.count,
+      // Price range in the requested currency (USD by default), and in both currencies
+      minPrice: priceCurrency === 'CDF' ? cluster.minPriceCDF : cluster.minPriceUSD,
+      maxPrice: priceCurrency === 'CDF' ? cluster.maxPriceCDF : cluster.maxPriceUSD,
+      priceCurrency,
+      minPriceUSD: cluster.minPriceUSD,
+      maxPriceUSD: cluster.maxPriceUSD,
+      minPriceCDF: cluster.minPriceCDF,
+      maxPriceCDF: cluster.maxPriceCDF,
+      currencies: cluster.currencies,
+      sampleListingId: cluster.sampleListingId,
+      bounds: {
+        swLat: cluster._id.y * cellSize - 90,
+        swLng: cluster._id.x * cellSize - 180,
+        neLat: (cluster._id.y + 1) * cellSize - 90,
+        neLng: (cluster._id.x + 1) * cellSize - 180
+      }
+    }));
+
+    res.status(200).json({
+      success: true,
+      zoom,
+      cellSize,
+      total: formattedClusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      clusters: formattedClusters
+    });
+  } catch (error) {
+    logger.error('Error fetching listing clusters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching listing clusters',
+      error: error.message
+    });
+  }
+};
+
 // Get a single listing by ID
 const getListing = async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id)
-      .populate('createdBy', 'firstName lastName email');
+      .populate('createdBy', 'firstName lastName email rating')
+      .populate('agencyId', AGENCY_BRANDING_FIELDS);
 
     if (!listing) {
       return res.status(404).json({
@@ -467,9 +774,29 @@ const getListing = async (req, res) => {
       });
     }
 
+    // Listings awaiting or refused by moderation are only shown to those who manage them,
+    // who also get the lister's contact details
+    const held = isHeldForModeration(listing);
+    const canManage = Boolean(req.user) && await canManageListing(listing, req.user);
+    if (held && !canManage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Count the view in the background; listers viewing their own ad are not counted
+    const isOwner = req.user && listing.createdBy &&
+      listing.createdBy._id.toString() === req.user._id.toString();
+    if (!isOwner && !held) {
+      recordListingEvent(listing._id, 'view', req).catch(err => {
+        logger.warn('Failed to record listing view', { listingId: listing._id, error: err.message });
+      });
+    }
+
     res.status(200).json({
       success: true,
-      listing
+      listing: canManage ? listing : hideListerContact(listing.toJSON())
     });
   } catch (error) {
     logger.error('Error fetching listing:', error);
@@ -481,7 +808,51 @@ const getListing = async (req, res) => {
   }
 };
 
-// Get listings for current user with pagination
+// Get active listings similar to a listing, e.g. to suggest alternatives once it is taken
+const getSimilarListings = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+
+    const listing = await Listing.findById(req.params.id);
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    const ranked = await findSimilarListings(listing, {
+      excludeUserId: req.user?._id,
+      limit
+    });
+
+    const similarListings = await Listing.find({ _id: { $in: ranked.map(item => item.listingId) } })
+      .populate('createdBy', 'firstName lastName email')
+      .populate('agencyId', AGENCY_BRANDING_FIELDS);
+    const byId = new Map(similarListings.map(item => [item._id.toString(), item]));
+
+    const listings = ranked
+      .filter(item => byId.has(item.listingId.toString()))
+      .map(item => ({
+        ...hideListerContact(formatListing(byId.get(item.listingId.toString()))),
+        similarity: item.similarity
+      }));
+
+    res.status(200).json({
+      success: true,
+      listings
+    });
+  } catch (error) {
+    logger.error('Error fetching similar listings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching similar listings',
+      error: error.message
+    });
+  }
+};
+
+// Get the listings the current user manages (their own and, for agency owners, the agency's)
 const getMyListings = async (req, res) => {
   try {
     // Extract pagination parameters
@@ -491,30 +862,25 @@ const getMyListings = async (req, res) => {
     const actualLimit = Math.min(limit, maxLimit);
     const skip = (page - 1) * actualLimit;
 
+    const filter = await manageableListingFilter(req.user._id);
+
     // Get total count
-    const total = await Listing.countDocuments({
-      createdBy: req.user._id
-    });
+    const total = await Listing.countDocuments(filter);
 
     // Execute paginated query
-    const listings = await Listing.find({
-      createdBy: req.user._id
-    })
+    const listings = await Listing.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(actualLimit);
 
-    // Format listings to show only URLs for frontend display
-    const formattedListings = listings.map(listing => {
-      const plainListing = listing.toObject();
-
-      // If images are stored as objects with url and public_id, extract just the URLs
-      if (plainListing.images.length > 0 && typeof plainListing.images[0] === 'object') {
-        plainListing.images = plainListing.images.map(img => img.url);
-      }
+    // Number of users who saved each listing, visible to the lister only
+    const favoriteCounts = await Favorite.countByListing(listings.map(listing => listing._id));
 
-      return plainListing;
-    });
+    // Format listings to show only URLs for frontend display
+    const formattedListings = listings.map(listing => ({
+      ...formatListing(listing),
+      favoriteCount: favoriteCounts[listing._id.toString()] || 0
+    }));
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(total / actualLimit);
@@ -537,26 +903,11 @@ const getMyListings = async (req, res) => {
       }
     });
   } catch (error) {
-    // Log extensive details about the error
-    console.error('CRITICAL UPDATE ERROR:', {
-      error: error.message,
-      stack: error.stack,
-      name: error.name,
-      code: error.code || 'no_code',
-      listingId: id,
-      userId: req.user ? req.user._id : 'unknown',
-      bodyKeys: Object.keys(req.body),
-      removedImagesPresent: !!req.body.removedImages,
-      filesPresent: !!(req.files && req.files.length)
-    });
-
-    // Return a more detailed error response
-    return res.status(500).json({
+    logger.error('Error fetching user listings:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to update listing',
-      errorType: error.name,
-      errorCode: error.code,
-      details: error.message
+      message: 'Error fetching your listings',
+      error: error.message
     });
   }
 };
@@ -575,7 +926,7 @@ const updateListing = async (req, res) => {
     }
 
     // Authorization check
-    if (req.user.role !== 'admin' && listing.createdBy.toString() !== req.user._id.toString()) {
+    if (!(await canManageListing(listing, req.user))) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden: You can only update your own listings'
@@ -594,9 +945,17 @@ const updateListing = async (req, res) => {
       }
     }
 
-    // Handle publish/unpublish toggle
+    // Handle publish/unpublish toggle. Listings awaiting or refused by moderation
+    // cannot be published by their owner.
     if (req.body.isDeleted !== undefined) {
-      listing.isDeleted = req.body.isDeleted;
+      const unpublish = req.body.isDeleted === true || req.body.isDeleted === 'true';
+      if (!unpublish && listing.isDeleted && isHeldForModeration(listing)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This listing must be approved by a moderator before it can be published'
+        });
+      }
+      listing.isDeleted = unpublish;
     }
 
     console.log(`Update request for listing ${id} by user ${req.user._id}`);
@@ -646,9 +1005,30 @@ const updateListing = async (req, res) => {
       listing.images = listing.images.filter(img => !removedImages.includes(img));
     }
 
+    // Handle map coordinates
+    const coordinates = parseCoordinates(req.body);
+    if (coordinates.provided && !coordinates.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates. Latitude must be between -90 and 90 and longitude between -180 and 180'
+      });
+    }
+    if (coordinates.provided) {
+      listing.location = coordinates.point;
+    }
+
     // Update other fields
+    const ignoredFields = [
+      'images', 'createdBy', 'agencyId', 'removedImages', 'location', 'isDeleted',
+      'latitude', 'longitude', 'lat', 'lng', 'coordinates',
+      'moderationStatus', 'moderationReason', 'submittedForReviewAt', 'moderatedAt', 'moderatedBy',
+      'subscriptionMonths',
+      // Computed by the listing hooks and services
+      'priceUSD', 'priceCDF', 'priceHistory', 'lastPriceDropAt', 'previousPriceUSD',
+      'searchTerms', 'searchFuzzy', 'reportCount', 'duplicateSignature'
+    ];
     Object.keys(req.body).forEach(key => {
-      if (key !== 'images' && key !== 'createdBy' && key !== 'removedImages') {
+      if (!ignoredFields.includes(key)) {
         if (key === 'details' && req.body.details) {
           listing.details = req.body.details;
         } else {
@@ -657,6 +1037,23 @@ const updateListing = async (req, res) => {
       }
     });
 
+    // A changed location must exist in the hierarchy; the district is derived unless given
+    if (['ville', 'district', 'commune', 'quartier'].some(field => listing.isModified(field))) {
+      const locationCheck = await validateListingLocation({
+        ville: listing.ville,
+        district: req.body.district,
+        commune: listing.commune,
+        quartier: listing.quartier
+      });
+      if (!locationCheck.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: locationCheck.error
+        });
+      }
+      Object.assign(listing, locationCheck.location);
+    }
+
     // Handle price fields based on listing type
     if (req.body.listingType === 'sale') {
       if (req.body.priceSale) {
@@ -685,13 +1082,28 @@ const updateListing = async (req, res) => {
       listing.images = [...listing.images, ...newImageUrls];
     }
 
+    // Content changes to a live listing go back to moderation
+    const sentForReview = req.user.role !== 'admin' && needsNewReview(listing);
+    if (sentForReview) {
+      submitForReview(listing);
+    }
+
     console.log('About to save updated listing');
 
     const updatedListing = await listing.save();
 
+    if (sentForReview) {
+      logger.info('Edited listing sent back for review', { listingId: updatedListing._id, userId: req.user._id });
+    }
+
+    // Users who favorited the listing hear about a price drop
+    notifyFavoritesOfPriceDrop(updatedListing);
+
     res.json({
       success: true,
-      message: 'Listing updated successfully',
+      message: sentForReview
+        ? 'Listing updated and sent back for review'
+        : 'Listing updated successfully',
       listing: updatedListing
     });
 
@@ -723,13 +1135,63 @@ const updateListing = async (req, res) => {
   }
 };
 
+// Send a rejected listing back to moderation once fixed; the plan already paid still applies
+const resubmitListing = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing || !(await canManageListing(listing, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found or not owned by user'
+      });
+    }
+
+    if (listing.moderationStatus !== 'rejected') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only rejected listings can be resubmitted'
+      });
+    }
+
+    submitForReview(listing);
+    await listing.save();
+
+    logger.info('Listing resubmitted for review', { listingId: listing._id, userId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing resubmitted for review',
+      listing
+    });
+  } catch (error) {
+    logger.error('Error resubmitting listing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resubmitting listing',
+      error: error.message
+    });
+  }
+};
+
 // Toggle publish status
 const togglePublishStatus = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const ownership = await manageableListingFilter(req.user._id);
+
+    // Listings awaiting or refused by moderation cannot be republished by their owner
+    const publishing = !req.body.isDeleted || req.body.isDeleted === 'false';
+    if (publishing && await Listing.exists({ _id: id, ...ownership, moderationStatus: { $in: HELD_STATUSES } })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This listing must be approved by a moderator before it can be published'
+      });
+    }
+
     const result = await Listing.updateOne(
-      { _id: id, createdBy: req.user._id },
+      { _id: id, ...ownership },
       { $set: { isDeleted: req.body.isDeleted } }
     );
 
@@ -772,7 +1234,7 @@ const deleteListing = async (req, res) => {
     }
 
     // Authorization check
-    if (req.user.role !== 'admin' && listing.createdBy.toString() !== req.user._id.toString()) {
+    if (!(await canManageListing(listing, req.user))) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden: You can only delete your own listings'
@@ -794,6 +1256,7 @@ const deleteListing = async (req, res) => {
 
     // Delete the listing from the database
     await listing.deleteOne();
+    await Favorite.deleteMany({ listingId: listing._id });
 
     res.json({
       success: true,
@@ -834,6 +1297,15 @@ const createTemporaryListing = async (req, res) => {
       });
     }
 
+    // Ville, commune and quartier must exist in the location hierarchy
+    const locationCheck = await validateListingLocation(req.body);
+    if (!locationCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: locationCheck.error
+      });
+    }
+
     // Validate images
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -845,6 +1317,9 @@ const createTemporaryListing = async (req, res) => {
     // Process images
     const imageUrls = req.files.map(file => file.location);
 
+    // Agents publish under their agency
+    const agency = await findUserAgency(req.user._id);
+
     // Prepare listing data
     const listingData = {
       listerFirstName: req.body.listerFirstName,
@@ -854,14 +1329,12 @@ const createTemporaryListing = async (req, res) => {
       typeOfListing: req.body.typeOfListing,
       listingType: req.body.listingType,
       address: req.body.address,
-      quartier: req.body.quartier,
-      commune: req.body.commune,
-      district: req.body.district,
-      ville: req.body.ville,
+      ...locationCheck.location,
       currency: req.body.currency || 'USD',
       negotiable: req.body.negotiable === 'true',
       images: imageUrls,
       createdBy: req.user._id,
+      agencyId: agency ? agency._id : null,
       status: 'pending_payment',  // Mark as pending payment
       isDeleted: true,  // Hide from public view until payment
       paymentStatus: 'unpaid'
@@ -872,6 +1345,18 @@ const createTemporaryListing = async (req, res) => {
       listingData.description = req.body.description;
     }
 
+    // Handle map coordinates
+    const coordinates = parseCoordinates(req.body);
+    if (coordinates.provided && !coordinates.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates. Latitude must be between -90 and 90 and longitude between -180 and 180'
+      });
+    }
+    if (coordinates.provided) {
+      listingData.location = coordinates.point;
+    }
+
     // Handle price (convert to number and save to appropriate field based on listing type)
     const price = parseFloat(req.body.price);
     if (isNaN(price)) {
@@ -929,6 +1414,19 @@ const createTemporaryListing = async (req, res) => {
       }
     }
 
+    // Re-posts of an existing listing are flagged for review, or refused when exact and blocking is on
+    const imageHashes = await hashUploadedImages(req.files);
+    const { signature, duplicates, blockedBy } = await checkForDuplicates(listingData, imageHashes, { userId: req.user._id });
+    if (blockedBy) {
+      imageUrls.forEach(url => deleteFileFromS3(url));
+      return res.status(409).json({
+        success: false,
+        message: 'This listing is identical to an existing listing',
+        duplicateOf: blockedBy.listingId
+      });
+    }
+    listingData.duplicateSignature = signature;
+
     logger.info("Creating temporary listing with data", {
       listingType: listingData.listingType,
       price: `${price} ${listingData.currency}`,
@@ -942,6 +1440,10 @@ const createTemporaryListing = async (req, res) => {
       listingId: savedListing._id
     });
 
+    flagDuplicates(savedListing, duplicates).catch(err => {
+      logger.error('Failed to flag duplicate listing', { listingId: savedListing._id, error: err.message });
+    });
+
     return res.status(201).json({
       success: true,
       message: "Temporary listing created successfully. Proceed to payment to activate.",
@@ -987,9 +1489,10 @@ const activateListing = async (req, res) => {
     }
 
     // Find the listing to activate
+    const ownership = await manageableListingFilter(req.user._id);
     const listing = await Listing.findOne({
       _id: id,
-      createdBy: req.user._id
+      ...ownership
     });
 
     if (!listing) {
@@ -1005,7 +1508,8 @@ const activateListing = async (req, res) => {
         { transactionId: paymentId },
         { externalId: paymentId }
       ],
-      listingId: id
+      listingId: id,
+      purpose: { $ne: 'booking_deposit' }
     });
 
     if (!payment) {
@@ -1059,14 +1563,238 @@ const activateListing = async (req, res) => {
   }
 };
 
+// Add a listing to the current user's favorites
+const addFavorite = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({ _id: req.params.id, isDeleted: false, ...notHeldFilter() });
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Upsert keeps the call idempotent when the user taps twice
+    await Favorite.updateOne(
+      { userId: req.user._id, listingId: listing._id },
+      { $setOnInsert: { userId: req.user._id, listingId: listing._id } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing added to favorites',
+      isFavorite: true
+    });
+  } catch (error) {
+    logger.error('Error adding favorite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding favorite',
+      error: error.message
+    });
+  }
+};
+
+// Remove a listing from the current user's favorites
+const removeFavorite = async (req, res) => {
+  try {
+    await Favorite.deleteOne({ userId: req.user._id, listingId: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing removed from favorites',
+      isFavorite: false
+    });
+  } catch (error) {
+    logger.error('Error removing favorite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing favorite',
+      error: error.message
+    });
+  }
+};
+
+// Get the current user's favorite listings with pagination
+const getMyFavorites = async (req, res) => {
+  try {
+    // Extract pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const maxLimit = 50;
+    const actualLimit = Math.min(limit, maxLimit);
+    const skip = (page - 1) * actualLimit;
+
+    const total = await Favorite.countDocuments({ userId: req.user._id });
+
+    const favorites = await Favorite.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(actualLimit)
+      .populate({
+        path: 'listingId',
+        match: { isDeleted: false, ...notHeldFilter() },
+        populate: { path: 'createdBy', select: 'firstName lastName email' }
+      });
+
+    // Unpublished listings are skipped but stay favorited in case they come back
+    const formattedListings = favorites
+      .filter(favorite => favorite.listingId)
+      .map(favorite => ({
+        ...hideListerContact(formatListing(favorite.listingId)),
+        isFavorite: true,
+        favoritedAt: favorite.createdAt
+      }));
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(total / actualLimit);
+    const hasNext = page < totalPages;
+    const hasPrev = page > 1;
+
+    res.status(200).json({
+      success: true,
+      listings: formattedListings,
+      pagination: {
+        total,
+        count: formattedListings.length,
+        page,
+        limit: actualLimit,
+        totalPages,
+        hasNext,
+        hasPrev,
+        nextPage: hasNext ? page + 1 : null,
+        prevPage: hasPrev ? page - 1 : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching favorites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching favorites',
+      error: error.message
+    });
+  }
+};
+
+// Record a contact interaction (phone revealed, WhatsApp clicked) on a listing
+const trackListingEvent = async (req, res) => {
+  try {
+    const { event } = req.body;
+
+    if (!EVENT_TYPES.includes(event) || event === 'view') {
+      return res.status(400).json({
+        success: false,
+        message: 'event must be one of: phone_reveal, whatsapp_click'
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id).select('createdBy');
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    const isOwner = req.user && listing.createdBy.toString() === req.user._id.toString();
+    const counted = isOwner ? false : await recordListingEvent(listing._id, event, req);
+
+    res.status(200).json({
+      success: true,
+      counted
+    });
+  } catch (error) {
+    logger.error('Error tracking listing event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error tracking listing event',
+      error: error.message
+    });
+  }
+};
+
+// Get daily views and contact clicks for one of the current user's listings
+const getListingStats = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select('createdBy agencyId title');
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (!(await canManageListing(listing, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: You can only view statistics for your own listings'
+      });
+    }
+
+    // Date range: explicit from/to, or the last `days` days (default 30, max 365)
+    const maxDays = 365;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    let from;
+    if (req.query.from) {
+      from = new Date(req.query.from);
+    } else {
+      const days = Math.min(parseInt(req.query.days) || 30, maxDays);
+      from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    }
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    if (to - from > maxDays * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${maxDays} days`
+      });
+    }
+
+    const stats = await getListingStatsData(listing._id, from, to);
+
+    res.status(200).json({
+      success: true,
+      listingId: listing._id,
+      from: stats.daily[0]?.date,
+      to: stats.daily[stats.daily.length - 1]?.date,
+      ...stats
+    });
+  } catch (error) {
+    logger.error('Error fetching listing stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching listing stats',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   addListing,
   getAllListings,
+  getSimilarListings,
+  getListingFacets,
+  getListingClusters,
   updateListing,
   deleteListing,
   getMyListings,
   getListing,
   togglePublishStatus,
+  resubmitListing,
   createTemporaryListing,
-  activateListing
+  activateListing,
+  addFavorite,
+  removeFavorite,
+  getMyFavorites,
+  trackListingEvent,
+  getListingStats
 };
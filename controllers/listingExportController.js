@@ -0,0 +1,80 @@
+const logger = require('../config/logger');
+const { FORMATS, parseColumns, buildExportFilter, streamListings } = require('../services/listingExportService');
+const { manageableListingFilter } = require('../services/agencyService');
+
+// Validate the export parameters, then stream the listings matching `getBaseFilter(req)`
+const exportListings = async (req, res, { getBaseFilter, allowOwnerFilters, filename }) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Expected one of: ${FORMATS.join(', ')}`
+      });
+    }
+
+    const { columns, error: columnsError } = parseColumns(req.query.columns);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError
+      });
+    }
+
+    const { filter, error: filterError } = buildExportFilter(req.query, { allowOwnerFilters });
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    const date = new Date().toISOString().substring(0, 10);
+    const result = await streamListings(req, res, {
+      filter: { ...filter, ...(await getBaseFilter(req)) },
+      columns,
+      format,
+      filename: `${filename}-${date}`
+    });
+
+    logger.info('Listing export done', {
+      userId: req.user?._id,
+      format,
+      columns: columns.length,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error exporting listings:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting listings',
+      error: error.message
+    });
+  }
+};
+
+// Export the listings the current user manages (?format=csv|ndjson&columns=...):
+// their own and, for agency owners, the agency's
+const exportMyListings = (req, res) => exportListings(req, res, {
+  getBaseFilter: (request) => manageableListingFilter(request.user._id),
+  allowOwnerFilters: false,
+  filename: 'mes-annonces'
+});
+
+// Export all listings (admin), optionally filtered by createdBy or agencyId
+const exportAllListings = (req, res) => exportListings(req, res, {
+  getBaseFilter: () => ({}),
+  allowOwnerFilters: true,
+  filename: 'annonces'
+});
+
+module.exports = {
+  exportMyListings,
+  exportAllListings
+};
@@ -0,0 +1,147 @@
+const path = require('path');
+const multer = require('multer');
+const logger = require('../config/logger');
+const { hasValidAwsCredentials } = require('../config/s3');
+const { findUserAgency } = require('../services/agencyService');
+const { MAX_ROWS, readSheet, importListings: runImport, buildTemplateCsv } = require('../services/listingImportService');
+
+const SHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_IMPORT_FILE_MB = 50;
+
+// Sheet and image archive are kept in memory, so each is capped; images are uploaded
+// row by row after validation
+const importFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024, files: 2 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'file' && SHEET_EXTENSIONS.includes(extension)) return cb(null, true);
+    if (file.fieldname === 'images' && extension === '.zip') return cb(null, true);
+    cb(new Error('Expected a CSV or XLSX file in "file" and a ZIP archive in "images"'));
+  }
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'images', maxCount: 1 }
+]);
+
+const importUpload = (req, res, next) => importFiles(req, res, (err) => {
+  if (err?.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      success: false,
+      message: `File too large (max ${MAX_IMPORT_FILE_MB}MB per file)`
+    });
+  }
+  next(err);
+});
+
+// Import listings from a CSV/XLSX sheet and a ZIP of images (agency members)
+// Valid rows are saved as drafts awaiting payment; ?dryRun=true only validates.
+const importListings = async (req, res) => {
+  try {
+    const sheet = req.files?.file?.[0];
+    const archive = req.files?.images?.[0];
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    if (!sheet) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or XLSX file is required in the "file" field'
+      });
+    }
+
+    const agency = await findUserAgency(req.user._id);
+    if (!agency) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: Bulk import is available to agency members only'
+      });
+    }
+
+    if (!dryRun && !hasValidAwsCredentials) {
+      return res.status(503).json({
+        success: false,
+        message: 'Image storage is not configured, listings cannot be imported'
+      });
+    }
+
+    let sheetData;
+    try {
+      sheetData = await readSheet(sheet.buffer, sheet.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the file: ${error.message}`
+      });
+    }
+
+    const { rows, unknownColumns } = sheetData;
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no listing rows'
+      });
+    }
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A file can contain at most ${MAX_ROWS} listings`
+      });
+    }
+
+    let report;
+    try {
+      report = await runImport({
+        rows,
+        zipBuffer: archive?.buffer,
+        user: req.user,
+        agencyId: agency._id,
+        dryRun
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('Invalid or unsupported zip format')) {
+        return res.status(400).json({
+          success: false,
+          message: 'The images archive is not a valid ZIP file'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Listing import done', {
+      userId: req.user._id,
+      agencyId: agency._id,
+      dryRun,
+      ...report.summary
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${report.summary.valid} of ${report.summary.total} rows are valid`
+        : `${report.summary.created} of ${report.summary.total} listings created as drafts awaiting payment`,
+      dryRun,
+      unknownColumns,
+      ...report
+    });
+  } catch (error) {
+    logger.error('Error importing listings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing listings',
+      error: error.message
+    });
+  }
+};
+
+// Download a CSV template with the supported columns
+const getImportTemplate = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="ndaku-import-annonces.csv"');
+  res.send(`\uFEFF${buildTemplateCsv()}`);
+};
+
+module.exports = {
+  importUpload,
+  importListings,
+  getImportTemplate
+};
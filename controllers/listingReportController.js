@@ -0,0 +1,297 @@
+const Listing = require('../models/Listing');
+const ListingReport = require('../models/ListingReport');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { sendNotification, getListingUrl } = require('../services/notificationService');
+const {
+  REPORTED_REASON,
+  getReporterKey,
+  refreshReportCount,
+  reachesHideThreshold
+} = require('../services/listingReportService');
+const {
+  isHeldForModeration,
+  submitForReview,
+  approveListing,
+  rejectListing,
+  notifyModerationDecision
+} = require('../services/moderationService');
+
+const REPORT_REASONS = ListingReport.schema.path('reason').enumValues;
+
+// Report a fraudulent or stale listing (users and visitors). Enough distinct reports hide
+// the listing until a moderator checks it.
+const reportListing = async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const listing = await Listing.findOne({ _id: req.params.id, isDeleted: false });
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (req.user && listing.createdBy.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own listing'
+      });
+    }
+
+    try {
+      await ListingReport.create({
+        listingId: listing._id,
+        reporterId: req.user?._id || null,
+        reporterKey: getReporterKey(req),
+        reason,
+        details
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this listing'
+        });
+      }
+      throw error;
+    }
+
+    listing.reportCount = await refreshReportCount(listing._id);
+
+    if (!isHeldForModeration(listing) && await reachesHideThreshold(listing._id)) {
+      submitForReview(listing);
+      listing.moderationReason = REPORTED_REASON;
+      await listing.save();
+      logger.warn('Listing hidden after reports', { listingId: listing._id, reportCount: listing.reportCount });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, the listing has been reported'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error reporting listing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reporting listing',
+      error: error.message
+    });
+  }
+};
+
+// Get listing reports with the listing and its lister's contact details (admin)
+const getListingReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.reason) filter.reason = req.query.reason;
+    if (req.query.listingId) filter.listingId = req.query.listingId;
+
+    const [total, reports] = await Promise.all([
+      ListingReport.countDocuments(filter),
+      ListingReport.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-reporterKey')
+        .populate({
+          path: 'listingId',
+          select: 'title commune quartier status isDeleted moderationStatus moderationReason reportCount ' +
+            'listerFirstName listerLastName listerPhoneNumber listerEmailAddress createdBy',
+          populate: { path: 'createdBy', select: 'firstName lastName email phoneNumber' }
+        })
+        .populate('reporterId', 'firstName lastName email')
+        .populate('resolvedBy', 'firstName lastName')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      reports,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching listing reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching listing reports',
+      error: error.message
+    });
+  }
+};
+
+// Resolve or dismiss a report, or every open report of its listing (admin).
+// Resolving can take the listing down; dismissing the last report restores a listing hidden by reports.
+const resolveListingReport = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const allForListing = req.body.allForListing === true || req.body.allForListing === 'true';
+    const takeDown = req.body.takeDown === true || req.body.takeDown === 'true';
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be resolved or dismissed'
+      });
+    }
+
+    if (takeDown && status !== 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'takeDown requires status resolved'
+      });
+    }
+
+    const report = await ListingReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const resolution = {
+      status,
+      resolutionNote: note,
+      resolvedBy: req.user._id,
+      resolvedAt: new Date()
+    };
+    const result = await ListingReport.updateMany(
+      allForListing ? { listingId: report.listingId, status: 'open' } : { _id: report._id },
+      { $set: resolution }
+    );
+
+    const reportCount = await refreshReportCount(report.listingId);
+    const listing = await Listing.findById(report.listingId);
+    let listingAction = null;
+
+    if (listing && takeDown && listing.moderationStatus !== 'rejected') {
+      rejectListing(listing, req.user._id, note || REPORTED_REASON);
+      listingAction = 'taken_down';
+    } else if (listing && status === 'dismissed' && reportCount === 0 &&
+        listing.moderationStatus === 'pending_review' && listing.moderationReason === REPORTED_REASON) {
+      approveListing(listing, req.user._id);
+      listingAction = 'restored';
+    }
+
+    if (listingAction) {
+      await listing.save();
+      notifyModerationDecision(listing);
+    }
+
+    logger.info('Listing report resolved', {
+      reportId: report._id,
+      listingId: report.listingId,
+      status,
+      reportsUpdated: result.modifiedCount,
+      listingAction,
+      adminId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Report ${status}`,
+      reportsUpdated: result.modifiedCount,
+      reportCount,
+      listingAction
+    });
+  } catch (error) {
+    logger.error('Error resolving listing report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving listing report',
+      error: error.message
+    });
+  }
+};
+
+// Send a message to the lister of a reported listing (admin)
+const contactReportedLister = async (req, res) => {
+  try {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: 'message is required'
+      });
+    }
+
+    const report = await ListingReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const listing = await Listing.findById(report.listingId).select('title createdBy listerPhoneNumber');
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    const lister = await User.findById(listing.createdBy).select('phoneNumber');
+    const result = await sendNotification(lister?.phoneNumber || listing.listerPhoneNumber, `📣 *Message de l'équipe Ndaku*
+
+À propos de votre annonce « ${listing.title} » :
+
+${message}
+
+${getListingUrl(listing._id)}`);
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'The message could not be delivered',
+        error: result.error
+      });
+    }
+
+    report.listerContactedAt = new Date();
+    await report.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lister contacted',
+      channel: result.channel
+    });
+  } catch (error) {
+    logger.error('Error contacting lister:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error contacting lister',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  reportListing,
+  getListingReports,
+  resolveListingReport,
+  contactReportedLister
+};
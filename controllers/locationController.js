@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const Ville = require('../models/Ville');
+const Commune = require('../models/Commune');
+const logger = require('../config/logger');
+const { normalizeName } = require('../utils/listingValidation');
+const {
+  LEVELS,
+  generateSlug,
+  getLocationTree,
+  invalidateLocationCache,
+  SEARCH_TYPES,
+  searchLocations: findLocations
+} = require('../services/locationService');
+
+const MAX_SEARCH_RESULTS = 25;
+
+// Resolve the :level route parameter, answering 404 for unknown levels
+const getLevel = (req, res) => {
+  const level = LEVELS[req.params.level];
+  if (!level) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown location level. Expected one of: ${Object.keys(LEVELS).join(', ')}`
+    });
+    return null;
+  }
+  return level;
+};
+
+const childLevelOf = (levelName) => Object.keys(LEVELS).find(name => LEVELS[name].parent === levelName);
+
+/**
+ * Filter matching the listings located in an entry, by names as listings store them.
+ * `name` overrides the entry's own name (used with the old name on renames).
+ */
+const listingFilterFor = async (levelName, entry, name = entry.name) => {
+  const ville = levelName === 'villes' ? null : await Ville.findById(entry.villeId).select('name');
+  switch (levelName) {
+    case 'villes':
+      return { ville: name };
+    case 'districts':
+      return { ville: ville?.name, district: name };
+    case 'communes':
+      return { ville: ville?.name, commune: name };
+    default: {
+      const commune = await Commune.findById(entry.communeId).select('name');
+      return { ville: ville?.name, commune: commune?.name, quartier: name };
+    }
+  }
+};
+
+// An entry with the same name already exists under the parent
+const findSibling = async (level, name, parentId, excludeId) => {
+  const filter = level.parentField ? { [level.parentField]: parentId } : {};
+  if (excludeId) filter._id = { $ne: excludeId };
+  const siblings = await level.model.find(filter).select('name');
+  return siblings.find(sibling => normalizeName(sibling.name) === normalizeName(name));
+};
+
+// List the villes with their activation status (public)
+const getVilles = async (req, res) => {
+  try {
+    const villes = await Ville.find({}).sort({ name: 1 }).select('name slug code isActive');
+
+    res.status(200).json({
+      success: true,
+      villes
+    });
+  } catch (error) {
+    logger.error('Error fetching villes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching villes',
+      error: error.message
+    });
+  }
+};
+
+// Districts, communes and quartiers of an active ville, by slug (public)
+const getVilleTree = async (req, res) => {
+  try {
+    const ville = await Ville.findOne({ slug: req.params.slug, isActive: true }).select('name');
+    if (!ville) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ville not found'
+      });
+    }
+
+    const tree = await getLocationTree();
+
+    res.status(200).json({
+      success: true,
+      ville: ville.name,
+      ...tree[ville.name]
+    });
+  } catch (error) {
+    logger.error('Error fetching ville locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ville locations',
+      error: error.message
+    });
+  }
+};
+
+// Autocomplete villes, communes and quartiers (public)
+// ?q= is matched ignoring case and accents, with prefix and typo-tolerant matching.
+const searchLocations = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'q must contain at least 2 characters'
+      });
+    }
+
+    let types = SEARCH_TYPES;
+    if (req.query.types) {
+      types = String(req.query.types).split(',').map(type => type.trim());
+      const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown types: ${unknown.join(', ')}. Expected: ${SEARCH_TYPES.join(', ')}`
+        });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_SEARCH_RESULTS);
+    const results = await findLocations(q.substring(0, 100), {
+      types,
+      ville: req.query.ville,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      results
+    });
+  } catch (error) {
+    logger.error('Error searching locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching locations',
+      error: error.message
+    });
+  }
+};
+
+// List the entries of a level, optionally under a parent (admin)
+const listLocations = async (req, res) => {
+  try {
+    const level = getLevel(req, res);
+    if (!level) return;
+
+    const filter = {};
+    if (req.query.parentId && level.parentField) {
+      if (!mongoose.isValidObjectId(req.query.parentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid parentId' });
+      }
+      filter[level.parentField] = req.query.parentId;
+    }
+    if (req.query.isActive === 'true') filter.isActive = true;
+    if (req.query.isActive === 'false') filter.isActive = false;
+
+    const locations = await level.model.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      level: req.params.level,
+      locations
+    });
+  } catch (error) {
+    logger.error('Error fetching locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locations',
+      error: error.message
+    });
+  }
+};
+
+// Create an entry under its parent (admin)
+const createLocation = async (req, res) => {
+  try {
+    const level = getLevel(req, res);
+    if (!level) return;
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Name is required' });
+    }
+
+    const data = { name };
+    let slugPrefix = '';
+
+    if (level.parent) {
+      const { parentId } = req.body;
+      const parent = mongoose.isValidObjectId(parentId)
+        ? await LEVELS[level.parent].model.findById(parentId)
+        : null;
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: `A valid parentId from ${level.parent} is required`
+        });
+      }
+
+      // Every entry keeps the ids of all its ancestors
+      data[level.parentField] = parent._id;
+      data.villeId = parent.villeId || parent._id;
+      if (parent.districtId) data.districtId = parent.districtId;
+
+      // Districts and communes are prefixed by the ville, quartiers by the commune
+      if (req.params.level === 'quartiers') {
+        slugPrefix = parent.slug;
+      } else {
+        const ville = await Ville.findById(data.villeId).select('slug');
+        slugPrefix = ville.slug;
+      }
+    } else {
+      if (!req.body.code) {
+        return res.status(400).json({ success: false, message: 'Code is required' });
+      }
+      data.code = req.body.code;
+    }
+
+    if (req.body.isActive !== undefined) {
+      data.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+
+    if (await findSibling(level, name, data[level.parentField])) {
+      return res.status(409).json({
+        success: false,
+        message: `${name} already exists here`
+      });
+    }
+
+    data.slug = await generateSlug(level.model, name, slugPrefix);
+    const location = await level.model.create(data);
+    invalidateLocationCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created',
+      location
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'This code or slug is already used' : error.message
+      });
+    }
+    logger.error('Error creating location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating location',
+      error: error.message
+    });
+  }
+};
+
+// Rename, recode or (de)activate an entry (admin).
+// Renames are applied to the listings located there; the slug stays the same.
+const updateLocation = async (req, res) => {
+  try {
+    const level = getLevel(req, res);
+    if (!level) return;
+
+    const location = mongoose.isValidObjectId(req.params.id) ? await level.model.findById(req.params.id) : null;
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    const oldName = location.name;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : undefined;
+
+    if (name !== undefined && name !== oldName) {
+      if (!name) {
+        return res.status(400).json({ success: false, message: 'Name cannot be empty' });
+      }
+      if (await findSibling(level, name, location[level.parentField], location._id)) {
+        return res.status(409).json({ success: false, message: `${name} already exists here` });
+      }
+      location.name = name;
+    }
+    if (req.body.isActive !== undefined) {
+      location.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+    if (req.body.code !== undefined && req.params.level === 'villes') {
+      location.code = req.body.code;
+    }
+
+    await location.save();
+
+    let listingsUpdated = 0;
+    if (location.name !== oldName) {
+      const filter = await listingFilterFor(req.params.level, location, oldName);
+      const result = await Listing.updateMany(filter, { $set: { [level.listingField]: location.name } });
+      listingsUpdated = result.modifiedCount;
+      await Listing.syncSearchTerms({ [level.listingField]: location.name });
+    }
+    invalidateLocationCache();
+
+    logger.info('Location updated', {
+      level: req.params.level,
+      locationId: location._id,
+      renamedFrom: location.name !== oldName ? oldName : undefined,
+      listingsUpdated
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated',
+      location,
+      listingsUpdated
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'This code is already used' : error.message
+      });
+    }
+    logger.error('Error updating location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating location',
+      error: error.message
+    });
+  }
+};
+
+// Delete an entry without children or listings (admin); others should be deactivated
+const deleteLocation = async (req, res) => {
+  try {
+    const level = getLevel(req, res);
+    if (!level) return;
+
+    const location = mongoose.isValidObjectId(req.params.id) ? await level.model.findById(req.params.id) : null;
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    const childLevel = childLevelOf(req.params.level);
+    if (childLevel && await LEVELS[childLevel].model.exists({ [LEVELS[childLevel].parentField]: location._id })) {
+      return res.status(409).json({
+        success: false,
+        message: `This location still has ${childLevel}. Remove them first or deactivate it instead`
+      });
+    }
+
+    if (await Listing.exists(await listingFilterFor(req.params.level, location))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Listings are located here. Deactivate the location instead'
+      });
+    }
+
+    await location.deleteOne();
+    invalidateLocationCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Location deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting location',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getVilles,
+  getVilleTree,
+  searchLocations,
+  listLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
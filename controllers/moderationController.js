@@ -0,0 +1,129 @@
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+const { approveListing, rejectListing, notifyModerationDecision } = require('../services/moderationService');
+
+// Get listings to moderate, oldest submission first (admin)
+const getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const status = req.query.status || 'pending_review';
+    if (!['pending_review', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be pending_review, approved or rejected'
+      });
+    }
+
+    const filter = { moderationStatus: status };
+    const sort = status === 'pending_review' ? { submittedForReviewAt: 1 } : { moderatedAt: -1 };
+
+    const [total, listings] = await Promise.all([
+      Listing.countDocuments(filter),
+      Listing.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email phoneNumber')
+        .populate('moderatedBy', 'firstName lastName')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      listings,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching moderation queue',
+      error: error.message
+    });
+  }
+};
+
+// Approve or reject a listing (admin). Rejections need a reason, which is sent to the lister.
+// Approved listings can still be rejected later to take them down.
+const moderateListing = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be approved or rejected'
+      });
+    }
+
+    if (status === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a listing'
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    const allowedFrom = status === 'approved' ? ['pending_review'] : ['pending_review', 'approved'];
+    if (!allowedFrom.includes(listing.moderationStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Listing cannot be ${status} while ${listing.moderationStatus || 'not submitted for review'}`
+      });
+    }
+
+    if (status === 'approved') {
+      approveListing(listing, req.user._id);
+    } else {
+      rejectListing(listing, req.user._id, reason);
+    }
+    await listing.save();
+
+    notifyModerationDecision(listing);
+
+    logger.info('Listing moderated', {
+      listingId: listing._id,
+      status,
+      adminId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Listing ${status}`,
+      listing
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error moderating listing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating listing',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  moderateListing
+};
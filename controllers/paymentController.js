@@ -3,7 +3,11 @@ const crypto = require('crypto');
 const https = require('https');
 const Payment = require('../models/paymentSchema');
 const Listing = require('../models/Listing');
+const Booking = require('../models/Booking');
 const logger = require('../config/logger');
+const { confirmDeposit, failDeposit } = require('../services/bookingService');
+const { getCurrentExchangeRate, convertUSDtoCDF, convertCDFtoUSD } = require('../services/exchangeRateService');
+const { isHeldForModeration, isApproved, submitForReview } = require('../services/moderationService');
 
 // Configuration
 const CONFIG = {
@@ -15,7 +19,6 @@ const CONFIG = {
   CALLBACK_URL: "https://www.congondaku.com/dashboard", // Hardcoded for testing
   REDIRECT_URL: "https://www.congondaku.com/dashboard",
   GATEWAY_MODE: "1", // Force to "1" for live mode
-  USD_TO_CDF_RATE: 2902.50,
   SUBSCRIPTION_PLANS: {
     '1_month': { duration: 1, priceUSD: 10 },
     '2_months': { duration: 2, priceUSD: 15 },
@@ -27,7 +30,6 @@ const CONFIG = {
 // Helper functions
 const generateTransactionReference = () => `NDAKU-${crypto.randomBytes(4).toString('hex').substring(0, 8)}`;
 const generateExternalId = () => `NDAKU-${Date.now()}-${crypto.randomBytes(4).toString('hex').substring(0, 8)}`;
-const convertUSDtoCDF = (amountUSD) => Math.round(amountUSD * CONFIG.USD_TO_CDF_RATE);
 const formatPhone = (phone) => {
   if (phone.startsWith('+243')) return phone;
   if (phone.startsWith('243')) return `+${phone}`;
@@ -128,6 +130,121 @@ function mapMaishapayStatus(status) {
   return 'pending';
 }
 
+/**
+ * Send a mobile money collection request to MaishaPay
+ */
+const requestMobileMoneyPayment = async ({
+  amount,
+  currency,
+  paymentMethod,
+  walletId,
+  transactionReference = `NDAKU-${Date.now().toString().substring(6)}`
+}) => {
+
+  // Mobile money payment payload
+  const maishapayPayload = {
+    transactionReference,
+    gatewayMode: CONFIG.GATEWAY_MODE,
+    publicApiKey: CONFIG.PUBLIC_KEY,
+    secretApiKey: CONFIG.SECRET_KEY,
+    amount: amount.toString(), // Convert to string for consistency
+    currency,
+    chanel: "MOBILEMONEY",
+    provider: paymentMethod.toUpperCase(),
+    walletID: walletId,
+    callbackUrl: CONFIG.CALLBACK_URL
+  };
+
+  logger.info('Initializing mobile money payment with MaishaPay:', {
+    transactionReference,
+    amount,
+    currency,
+    provider: paymentMethod.toUpperCase(),
+    callbackUrl: CONFIG.CALLBACK_URL,
+    gatewayMode: CONFIG.GATEWAY_MODE,
+    publicKeyPrefix: CONFIG.PUBLIC_KEY?.substring(0, 15) + '...'
+  });
+
+  // Full payload logging for troubleshooting - BE CAREFUL WITH SENSITIVE DATA IN PRODUCTION
+  logger.info('Mobile money payment payload:', JSON.stringify({
+    ...maishapayPayload,
+    publicApiKey: '[REDACTED]',
+    secretApiKey: '[REDACTED]'
+  }, null, 2));
+
+  // Call MaishaPay API with timeout
+  const response = await axios.post(
+    CONFIG.MAISHAPAY_API_URL,
+    maishapayPayload,
+    {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 60000
+    }
+  );
+
+  logger.info('MaishaPay response:', response.data);
+
+  // Determine payment status
+  const paymentStatus = getPaymentStatus(
+    response.data.status,
+    response.data.data?.statusCode,
+    response.data.data?.statusDescription
+  );
+  const transactionId = response.data.data?.transactionId || '';
+
+  return { response, paymentStatus, transactionId };
+};
+
+/**
+ * Respond to a failed mobile money initialization
+ */
+const sendMobileMoneyError = (res, error) => {
+  logger.error('Mobile money payment initialization error:', {
+    error: error.message,
+    code: error.code,
+    isTimeout: error.code === 'ECONNABORTED',
+    response: error.response?.data,
+    stack: error.stack
+  });
+
+  // Enhanced error handling for MaishaPay responses
+  if (error.response?.data?.error) {
+    return res.status(500).json({
+      success: false,
+      error: `MaishaPay error: ${error.response.data.error.title || 'Unknown error'}`,
+      description: error.response.data.error.description,
+      isTimeout: false
+    });
+  }
+
+  // Special handling for timeout errors
+  if (error.code === 'ECONNABORTED') {
+    return res.status(504).json({
+      success: false,
+      error: 'Payment gateway timeout. The payment server is taking longer than expected to respond.',
+      isTimeout: true,
+      message: 'Please try again in a few minutes or use a different payment method.'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.response?.data || error.message
+  });
+};
+
+/**
+ * Activate what a successful payment was for
+ */
+const applySuccessfulPayment = async (payment) => {
+  if (payment.purpose === 'booking_deposit') {
+    return confirmDeposit(payment);
+  }
+  return updateListingAfterPayment(payment);
+};
+
 /**
  * Initialize a payment (mobile money or card)
  */
@@ -164,7 +281,10 @@ const initializePayment = async (req, res) => {
       userId: req.user?._id
     });
 
-    // Route to the correct payment handler based on method
+    // Route to the correct payment handler based on purpose and method
+    if (req.body.bookingId) {
+      return await initializeBookingDepositPayment(req, res);
+    }
     if (paymentMethod === 'card') {
       if (useV3) {
         return await initializeCardPaymentV3(req, res);
@@ -214,6 +334,7 @@ const initializeMobileMoneyPayment = async (req, res) => {
 
     // Get plan details
     const plan = CONFIG.SUBSCRIPTION_PLANS[planId];
+    const { rate: exchangeRate, exchangeRateId } = await getCurrentExchangeRate();
     if (!plan) return res.status(400).json({ error: 'Invalid plan ID' });
 
     // Get listing
@@ -226,66 +347,19 @@ const initializeMobileMoneyPayment = async (req, res) => {
       amount = plan.priceUSD;
     } else {
       // For CDF, convert from USD
-      amount = convertUSDtoCDF(plan.priceUSD);
+      amount = convertUSDtoCDF(plan.priceUSD, exchangeRate);
     }
 
-    const transactionReference = `NDAKU-${Date.now().toString().substring(6)}`;
     const externalId = generateExternalId();
     const formattedPhone = formatPhone(phoneNumber);
 
-    // Mobile money payment payload
-    const maishapayPayload = {
-      transactionReference,
-      gatewayMode: CONFIG.GATEWAY_MODE,
-      publicApiKey: CONFIG.PUBLIC_KEY,
-      secretApiKey: CONFIG.SECRET_KEY,
-      amount: amount.toString(), // Convert to string for consistency
-      currency: selectedCurrency,
-      chanel: "MOBILEMONEY",
-      provider: paymentMethod.toUpperCase(),
-      walletID: formattedPhone,
-      callbackUrl: CONFIG.CALLBACK_URL
-    };
-
-    logger.info('Initializing mobile money payment with MaishaPay:', {
-      transactionReference,
+    const { response, paymentStatus, transactionId } = await requestMobileMoneyPayment({
       amount,
       currency: selectedCurrency,
-      provider: paymentMethod.toUpperCase(),
-      callbackUrl: CONFIG.CALLBACK_URL,
-      gatewayMode: CONFIG.GATEWAY_MODE,
-      publicKeyPrefix: CONFIG.PUBLIC_KEY?.substring(0, 15) + '...'
+      paymentMethod,
+      walletId: formattedPhone
     });
 
-    // Full payload logging for troubleshooting - BE CAREFUL WITH SENSITIVE DATA IN PRODUCTION
-    logger.info('Mobile money payment payload:', JSON.stringify({
-      ...maishapayPayload,
-      publicApiKey: '[REDACTED]',
-      secretApiKey: '[REDACTED]'
-    }, null, 2));
-
-    // Call MaishaPay API with timeout
-    const response = await axios.post(
-      CONFIG.MAISHAPAY_API_URL,
-      maishapayPayload,
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000
-      }
-    );
-
-    logger.info('MaishaPay response:', response.data);
-
-    // Determine payment status
-    const paymentStatus = getPaymentStatus(
-      response.data.status,
-      response.data.data?.statusCode,
-      response.data.data?.statusDescription
-    );
-    const transactionId = response.data.data?.transactionId || '';
-
     // Create payment record
     const payment = new Payment({
       userId: user._id,
@@ -293,7 +367,9 @@ const initializeMobileMoneyPayment = async (req, res) => {
       planId,
       duration: plan.duration,
       amountUSD: plan.priceUSD,
-      amountCDF: convertUSDtoCDF(plan.priceUSD), // Store both amounts for reference
+      amountCDF: convertUSDtoCDF(plan.priceUSD, exchangeRate), // Store both amounts for reference
+      exchangeRate, // Rate used, for reconciliation
+      exchangeRateId,
       amount: amount, // Store the actual amount charged
       currency: selectedCurrency,
       paymentMethod,
@@ -327,38 +403,149 @@ const initializeMobileMoneyPayment = async (req, res) => {
       transactionId
     });
   } catch (error) {
-    logger.error('Mobile money payment initialization error:', {
-      error: error.message,
-      code: error.code,
-      isTimeout: error.code === 'ECONNABORTED',
-      response: error.response?.data,
-      stack: error.stack
-    });
+    return sendMobileMoneyError(res, error);
+  }
+};
 
-    // Enhanced error handling for MaishaPay responses
-    if (error.response?.data?.error) {
-      return res.status(500).json({
-        success: false,
-        error: `MaishaPay error: ${error.response.data.error.title || 'Unknown error'}`,
-        description: error.response.data.error.description,
-        isTimeout: false
+/**
+ * Initialize a mobile money payment for a booking deposit
+ */
+const initializeBookingDepositPayment = async (req, res) => {
+  try {
+    const { bookingId, paymentMethod, phoneNumber, currency } = req.body;
+    const user = req.user;
+
+    // Validation
+    if (!bookingId || !paymentMethod || !phoneNumber) {
+      return res.status(400).json({ error: 'Missing required fields: bookingId, paymentMethod and phoneNumber are required' });
+    }
+
+    if (paymentMethod === 'card') {
+      return res.status(400).json({ error: 'Booking deposits are paid by mobile money' });
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, guestId: user._id });
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    if (booking.status === 'awaiting_deposit' && booking.deposit.status === 'pending') {
+      return res.status(409).json({
+        error: 'A deposit payment is already in progress for this booking',
+        paymentId: booking.deposit.paymentId
       });
     }
 
-    // Special handling for timeout errors
-    if (error.code === 'ECONNABORTED') {
-      return res.status(504).json({
+    if (booking.status !== 'awaiting_deposit' || booking.deposit.status !== 'unpaid') {
+      return res.status(400).json({ error: 'This booking has no deposit to pay' });
+    }
+
+    if (booking.holdExpiresAt <= new Date()) {
+      return res.status(410).json({ error: 'The hold on these dates has expired. Please book again' });
+    }
+
+    // Deposit is set in the listing currency; convert if the guest pays in the other one
+    const selectedCurrency = currency || booking.currency;
+    if (!['USD', 'CDF'].includes(selectedCurrency)) {
+      return res.status(400).json({
         success: false,
-        error: 'Payment gateway timeout. The payment server is taking longer than expected to respond.',
-        isTimeout: true,
-        message: 'Please try again in a few minutes or use a different payment method.'
+        error: 'Invalid currency specified. Must be USD or CDF.'
       });
     }
 
-    return res.status(500).json({
-      success: false,
-      error: error.response?.data || error.message
+    const { rate: exchangeRate, exchangeRateId } = await getCurrentExchangeRate();
+    const amountUSD = booking.currency === 'USD'
+      ? booking.deposit.amount
+      : convertCDFtoUSD(booking.deposit.amount, exchangeRate);
+    const amountCDF = booking.currency === 'CDF'
+      ? booking.deposit.amount
+      : convertUSDtoCDF(booking.deposit.amount, exchangeRate);
+    const amount = selectedCurrency === 'USD' ? amountUSD : amountCDF;
+
+    const formattedPhone = formatPhone(phoneNumber);
+
+    // The payment is recorded before the gateway is called, so its callback can always be matched
+    const payment = new Payment({
+      userId: user._id,
+      listingId: booking.listingId,
+      purpose: 'booking_deposit',
+      bookingId: booking._id,
+      amountUSD,
+      amountCDF,
+      exchangeRate,
+      exchangeRateId,
+      amount,
+      currency: selectedCurrency,
+      paymentMethod,
+      phoneNumber: formattedPhone,
+      externalId: generateExternalId(),
+      status: 'pending',
+      lastStatusCheck: new Date()
+    });
+
+    // Claim the deposit for this payment so a concurrent request cannot start a second charge
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, status: 'awaiting_deposit', 'deposit.status': 'unpaid' },
+      { $set: { 'deposit.status': 'pending', 'deposit.paymentId': payment._id } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ error: 'A deposit payment is already in progress for this booking' });
+    }
+    booking.deposit.status = 'pending';
+    booking.deposit.paymentId = payment._id;
+
+    await payment.save();
+
+    let charge;
+    try {
+      charge = await requestMobileMoneyPayment({
+        amount,
+        currency: selectedCurrency,
+        paymentMethod,
+        walletId: formattedPhone,
+        transactionReference: payment.externalId
+      });
+    } catch (error) {
+      // After a timeout the charge may be under way: the payment stays pending so the callback
+      // can settle it, and the deposit stays pending until the hold expires
+      if (!error.response) {
+        logger.warn('Deposit payment request timed out, left pending', { paymentId: payment._id, bookingId: booking._id });
+        throw error;
+      }
+
+      // The gateway refused the request, so no charge was started and the guest can try again
+      payment.status = 'failed';
+      payment.responseData = error.response.data;
+      await payment.save();
+      await Booking.updateOne(
+        { _id: booking._id, 'deposit.status': 'pending', 'deposit.paymentId': payment._id },
+        { $set: { 'deposit.status': 'unpaid', 'deposit.paymentId': null } }
+      );
+      throw error;
+    }
+    const { response, paymentStatus, transactionId } = charge;
+
+    payment.transactionId = transactionId;
+    payment.status = paymentStatus;
+    payment.responseData = response.data;
+    payment.lastStatusCheck = new Date();
+    await payment.save();
+
+    if (paymentStatus === 'success') {
+      await confirmDeposit(payment);
+    } else if (paymentStatus === 'failed') {
+      await failDeposit(payment);
+    }
+
+    return res.json({
+      success: true,
+      data: response.data,
+      paymentStatus,
+      paymentId: payment._id,
+      transactionId,
+      bookingId: booking._id,
+      holdExpiresAt: booking.holdExpiresAt
     });
+  } catch (error) {
+    return sendMobileMoneyError(res, error);
   }
 };
 
@@ -387,6 +574,7 @@ const initializeCardPayment = async (req, res) => {
 
     // Get plan details
     const plan = CONFIG.SUBSCRIPTION_PLANS[planId];
+    const { rate: exchangeRate, exchangeRateId } = await getCurrentExchangeRate();
     if (!plan) return res.status(400).json({ error: 'Invalid plan ID' });
 
     // Get listing
@@ -401,7 +589,7 @@ const initializeCardPayment = async (req, res) => {
       amount = plan.priceUSD;
     } else {
       // For CDF, convert from USD
-      amount = convertUSDtoCDF(plan.priceUSD);
+      amount = convertUSDtoCDF(plan.priceUSD, exchangeRate);
     }
 
     const transactionReference = `NDAKU-${Date.now().toString().substring(6)}`;
@@ -468,7 +656,9 @@ const initializeCardPayment = async (req, res) => {
       planId,
       duration: plan.duration,
       amountUSD: plan.priceUSD,
-      amountCDF: convertUSDtoCDF(plan.priceUSD),
+      amountCDF: convertUSDtoCDF(plan.priceUSD, exchangeRate),
+      exchangeRate,
+      exchangeRateId,
       amount: amount,
       currency: selectedCurrency, // Store user's selected currency
       paymentMethod: 'card',
@@ -548,7 +738,7 @@ const checkPaymentStatus = async (req, res) => {
       if (payment.status !== 'success') {
         payment.status = 'success';
         await payment.save();
-        await updateListingAfterPayment(payment);
+        await applySuccessfulPayment(payment);
         logger.info('Development mode: payment and listing updated to success');
       }
 
@@ -623,10 +813,12 @@ const checkPaymentStatus = async (req, res) => {
       payment.lastStatusCheck = new Date();
       await payment.save();
 
-      // Activate listing if payment successful
+      // Activate listing (or booking) if payment successful
       if (oldStatus !== 'success' && newStatus === 'success') {
-        await updateListingAfterPayment(payment);
-        logger.info('Listing activated after status check success');
+        await applySuccessfulPayment(payment);
+        logger.info('Payment applied after status check success', { purpose: payment.purpose });
+      } else if (payment.purpose === 'booking_deposit' && ['failed', 'canceled'].includes(newStatus)) {
+        await failDeposit(payment);
       }
 
       return res.json({
@@ -648,7 +840,13 @@ const checkPaymentStatus = async (req, res) => {
       });
 
       // Even if API check fails, ensure listing is updated if payment is success
-      if (payment.status === 'success') {
+      if (payment.status === 'success' && payment.purpose === 'booking_deposit') {
+        try {
+          await confirmDeposit(payment);
+        } catch (updateError) {
+          logger.error('Error updating booking after API error:', updateError);
+        }
+      } else if (payment.status === 'success') {
         try {
           const listing = await Listing.findById(payment.listingId);
           if (listing && (listing.status !== 'available' || listing.paymentStatus !== 'paid')) {
@@ -705,6 +903,7 @@ const initializeCardPaymentV3 = async (req, res) => {
 
     // Get plan details
     const plan = CONFIG.SUBSCRIPTION_PLANS[planId];
+    const { rate: exchangeRate, exchangeRateId } = await getCurrentExchangeRate();
     if (!plan) return res.status(400).json({ error: 'Invalid plan ID' });
 
     // Get listing
@@ -717,7 +916,7 @@ const initializeCardPaymentV3 = async (req, res) => {
       amount = plan.priceUSD;
     } else {
       // For CDF, convert from USD
-      amount = convertUSDtoCDF(plan.priceUSD);
+      amount = convertUSDtoCDF(plan.priceUSD, exchangeRate);
     }
 
     const transactionReference = `NDAKU-${Date.now().toString().substring(6)}`;
@@ -804,7 +1003,9 @@ const initializeCardPaymentV3 = async (req, res) => {
       planId,
       duration: plan.duration,
       amountUSD: plan.priceUSD,
-      amountCDF: convertUSDtoCDF(plan.priceUSD), // Store both amounts for reference
+      amountCDF: convertUSDtoCDF(plan.priceUSD, exchangeRate), // Store both amounts for reference
+      exchangeRate, // Rate used, for reconciliation
+      exchangeRateId,
       amount: amount, // Store the actual amount charged
       currency: selectedCurrency,
       paymentMethod: 'card',
@@ -881,6 +1082,8 @@ const handlePaymentWebhook = async (req, res) => {
 
     // MaishaPay can send different webhook formats
     const transactionId = req.body.transactionId || req.body.data?.transactionId;
+    // Our reference, the only key of a payment whose initialization timed out
+    const transactionReference = req.body.transactionReference || req.body.data?.transactionReference;
     const status = req.body.transactionStatus || req.body.data?.status || req.body.status;
     const statusCode = req.body.statusCode || req.body.data?.statusCode;
     const statusDescription = req.body.statusDescription || req.body.data?.statusDescription;
@@ -894,19 +1097,20 @@ const handlePaymentWebhook = async (req, res) => {
       rawBody: JSON.stringify(req.body).substring(0, 200) + '...' // Log truncated body for debugging
     });
 
-    if (!transactionId) {
+    if (!transactionId && !transactionReference) {
       logger.warn('Webhook missing transaction ID', req.body);
       return; // Already sent 200 OK response
     }
 
     // Find the payment with expanded search options
-    const payment = await Payment.findOne({
-      $or: [
-        { transactionId },
-        { transactionId: String(transactionId) },
-        { externalId: transactionId }
-      ]
-    });
+    const keys = [];
+    if (transactionId) {
+      keys.push({ transactionId }, { transactionId: String(transactionId) }, { externalId: transactionId });
+    }
+    if (transactionReference) {
+      keys.push({ externalId: String(transactionReference) });
+    }
+    const payment = await Payment.findOne({ $or: keys });
 
     if (!payment) {
       logger.warn('Payment not found for transaction ID', { transactionId });
@@ -942,6 +1146,21 @@ const handlePaymentWebhook = async (req, res) => {
       await payment.save();
       logger.info('Payment status updated via webhook', { newStatus, paymentId: payment._id });
 
+      // Booking deposits confirm or release the booking instead of touching the listing
+      if (payment.purpose === 'booking_deposit') {
+        if (newStatus === 'success') {
+          await confirmDeposit(payment);
+        } else if (['failed', 'canceled'].includes(newStatus)) {
+          await failDeposit(payment);
+        }
+        logger.info('Booking deposit webhook processed', {
+          transactionId,
+          newStatus,
+          bookingId: payment.bookingId
+        });
+        return;
+      }
+
       // Update listing if payment successful
       if (newStatus === 'success') {
         try {
@@ -964,11 +1183,12 @@ const handlePaymentWebhook = async (req, res) => {
               currentPaymentStatus: listing.paymentStatus
             });
 
-            await updateListingAfterPayment(payment);
-            logger.info('Listing activated after webhook success notification', {
+            const updatedListing = await updateListingAfterPayment(payment);
+            logger.info('Listing updated after webhook success notification', {
               listingId: listing._id,
-              newStatus: 'available',
-              newPaymentStatus: 'paid'
+              newStatus: updatedListing.status,
+              newPaymentStatus: updatedListing.paymentStatus,
+              moderationStatus: updatedListing.moderationStatus
             });
           } else {
             logger.info('Listing already active, no update needed', {
@@ -1032,7 +1252,8 @@ const handlePaymentWebhook = async (req, res) => {
 };
 
 /**
- * Update listing after successful payment
+ * Update listing after successful payment.
+ * New listings wait for moderation before going live; approved ones are renewed right away.
  */
 const updateListingAfterPayment = async (payment) => {
   try {
@@ -1048,31 +1269,38 @@ const updateListingAfterPayment = async (payment) => {
       currentPaymentStatus: listing.paymentStatus
     });
 
-    // Calculate expiry date
+    // Repeated notifications of an applied payment must not resubmit a rejected listing
+    const paymentRef = payment.transactionId || payment._id.toString();
+    if (listing.paymentStatus === 'paid' && listing.paymentId === paymentRef && isHeldForModeration(listing)) {
+      return listing;
+    }
+
     const planDuration = payment.duration ||
       (CONFIG.SUBSCRIPTION_PLANS[payment.planId]?.duration || 3);
-    const currentDate = new Date();
-    const expiryDate = new Date();
-    expiryDate.setMonth(currentDate.getMonth() + planDuration);
+
+    const approved = isApproved(listing);
 
     // Update listing
-    listing.status = 'available';
-    listing.isDeleted = false;
-    listing.expiryDate = expiryDate;
     listing.paymentStatus = 'paid';
-    listing.paymentId = payment.transactionId || payment._id.toString();
+    listing.paymentId = paymentRef;
     listing.subscriptionPlan = payment.planId;
-    listing.subscriptionStartDate = currentDate;
-    listing.activeSubscription = true;
+    listing.subscriptionMonths = planDuration;
+
+    if (approved) {
+      listing.activateSubscription(planDuration);
+    } else if (listing.moderationStatus !== 'pending_review') {
+      submitForReview(listing);
+    }
 
     await listing.save();
 
-    logger.info('Listing activated after payment:', {
+    logger.info(approved ? 'Listing activated after payment:' : 'Listing submitted for review after payment:', {
       listingId: listing._id,
       paymentId: payment._id,
-      expiryDate,
+      expiryDate: listing.expiryDate,
       newStatus: listing.status,
-      newPaymentStatus: listing.paymentStatus
+      newPaymentStatus: listing.paymentStatus,
+      moderationStatus: listing.moderationStatus
     });
 
     return listing;
@@ -1094,7 +1322,8 @@ const getPaymentHistory = async (req, res) => {
   try {
     const payments = await Payment.find({ userId: req.user._id })
       .sort({ createdAt: -1 })
-      .populate('listingId', 'title images status paymentStatus expiryDate');
+      .populate('listingId', 'title images status paymentStatus expiryDate')
+      .populate('bookingId', 'checkIn checkOut status totalPrice currency');
 
     return res.json({
       success: true,
@@ -1111,18 +1340,19 @@ const getPaymentHistory = async (req, res) => {
  */
 const getSubscriptionPlans = async (req, res) => {
   try {
+    const { rate: exchangeRate } = await getCurrentExchangeRate();
     const plans = Object.entries(CONFIG.SUBSCRIPTION_PLANS).map(([id, plan]) => ({
       id,
       durationMonths: plan.duration,
       priceUSD: plan.priceUSD,
-      priceCDF: convertUSDtoCDF(plan.priceUSD)
+      priceCDF: convertUSDtoCDF(plan.priceUSD, exchangeRate)
     }));
 
     return res.json({
       success: true,
       data: {
         plans,
-        exchangeRate: CONFIG.USD_TO_CDF_RATE
+        exchangeRate
       }
     });
   } catch (error) {
@@ -1147,7 +1377,7 @@ const devActivateListing = async (req, res) => {
 
     // Create mock payment or use existing payment
     let payment;
-    const existingPayment = await Payment.findOne({ listingId });
+    const existingPayment = await Payment.findOne({ listingId, purpose: { $ne: 'booking_deposit' } });
 
     if (existingPayment) {
       payment = existingPayment;
@@ -1156,6 +1386,7 @@ const devActivateListing = async (req, res) => {
       logger.info('Using existing payment for dev activation:', { paymentId: payment._id });
     } else {
       // Create new payment if none exists
+      const { rate: exchangeRate, exchangeRateId } = await getCurrentExchangeRate();
       const externalId = generateExternalId();
       const transactionId = `DEV-${Date.now()}`;
 
@@ -1165,7 +1396,9 @@ const devActivateListing = async (req, res) => {
         planId: '3_months',
         duration: 3,
         amountUSD: 20,
-        amountCDF: convertUSDtoCDF(20),
+        amountCDF: convertUSDtoCDF(20, exchangeRate),
+        exchangeRate,
+        exchangeRateId,
         amount: 58050,
         currency: 'CDF',
         paymentMethod: 'mpesa',
@@ -1242,6 +1475,7 @@ const emergencyFixListing = async (req, res) => {
       logger.info('Emergency fix: Updated payment to success', { paymentId: payment._id });
     } else {
       // Create new payment
+      const { rate: exchangeRate, exchangeRateId } = await getCurrentExchangeRate();
       const externalId = generateExternalId();
       const transactionId = `EMERGENCY-${Date.now()}`;
 
@@ -1251,7 +1485,9 @@ const emergencyFixListing = async (req, res) => {
         planId: '3_months',
         duration: 3,
         amountUSD: 20,
-        amountCDF: convertUSDtoCDF(20),
+        amountCDF: convertUSDtoCDF(20, exchangeRate),
+        exchangeRate,
+        exchangeRateId,
         amount: 58050,
         currency: 'CDF',
         paymentMethod: 'mpesa',
@@ -1476,6 +1712,7 @@ const testCardPaymentV3Connection = async (req, res) => {
 module.exports = {
   initializePayment,
   initializeMobileMoneyPayment,
+  initializeBookingDepositPayment,
   initializeCardPayment,
   checkPaymentStatus,
   handlePaymentWebhook,
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const {
+  REPORT_HIDE_THRESHOLD,
+  findReviewBasis,
+  checkReviewContent,
+  refreshListerRating,
+  getRatingBreakdown
+} = require('../services/reviewService');
+
+const REPORT_REASONS = ['offensive', 'false_information', 'spam', 'personal_information', 'other'];
+
+// Reviewer name as shown publicly: first name and last initial
+const formatReview = (review) => {
+  const plain = review.toObject();
+  const reviewer = plain.reviewerId;
+  return {
+    _id: plain._id,
+    rating: plain.rating,
+    comment: plain.comment,
+    basis: plain.basis,
+    listingId: plain.listingId,
+    createdAt: plain.createdAt,
+    updatedAt: plain.updatedAt,
+    reviewer: reviewer
+      ? { _id: reviewer._id, name: `${reviewer.firstName} ${(reviewer.lastName || '').charAt(0)}.`.trim() }
+      : null
+  };
+};
+
+// Published reviews and rating summary of a lister (public)
+const getListerReviews = async (req, res) => {
+  try {
+    const { listerId } = req.params;
+
+    if (!mongoose.isValidObjectId(listerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lister not found'
+      });
+    }
+
+    const lister = await User.findById(listerId).select('rating');
+    if (!lister) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lister not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const maxLimit = 50;
+    const actualLimit = Math.min(limit, maxLimit);
+    const skip = (page - 1) * actualLimit;
+
+    const filter = { listerId: lister._id, status: 'published' };
+
+    const [total, reviews, breakdown] = await Promise.all([
+      Review.countDocuments(filter),
+      Review.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(actualLimit)
+        .populate('reviewerId', 'firstName lastName'),
+      getRatingBreakdown(lister._id)
+    ]);
+
+    const totalPages = Math.ceil(total / actualLimit);
+
+    res.status(200).json({
+      success: true,
+      rating: {
+        average: lister.rating?.average || 0,
+        count: lister.rating?.count || 0,
+        breakdown
+      },
+      reviews: reviews.map(formatReview),
+      pagination: {
+        total,
+        count: reviews.length,
+        page,
+        limit: actualLimit,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching lister reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+};
+
+// Whether the current user may review a lister, and their existing review if any
+const getReviewEligibility = async (req, res) => {
+  try {
+    const { listerId } = req.params;
+
+    if (!mongoose.isValidObjectId(listerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lister not found'
+      });
+    }
+
+    const isSelf = listerId === req.user._id.toString();
+    const [basis, review] = await Promise.all([
+      isSelf ? null : findReviewBasis(req.user._id, listerId),
+      Review.findOne({ listerId, reviewerId: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      canReview: !!basis,
+      basis: basis?.basis || null,
+      review
+    });
+  } catch (error) {
+    logger.error('Error checking review eligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking review eligibility',
+      error: error.message
+    });
+  }
+};
+
+// Rate a lister, or update your existing review of them
+const createReview = async (req, res) => {
+  try {
+    const { listerId, rating, comment } = req.body;
+
+    if (!listerId || !mongoose.isValidObjectId(listerId) || rating === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'listerId and rating are required'
+      });
+    }
+
+    if (listerId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review yourself'
+      });
+    }
+
+    const basis = await findReviewBasis(req.user._id, listerId);
+    if (!basis) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can review a lister after a confirmed visit, booking or a conversation they replied to'
+      });
+    }
+
+    let review = await Review.findOne({ listerId, reviewerId: req.user._id });
+    const isNew = !review;
+
+    if (isNew) {
+      review = new Review({ listerId, reviewerId: req.user._id });
+    } else if (review.status === 'rejected') {
+      return res.status(403).json({
+        success: false,
+        message: 'This review was rejected by moderators and can no longer be edited'
+      });
+    }
+
+    review.rating = Number(rating);
+    review.comment = comment;
+    review.basis = basis.basis;
+    review.listingId = basis.listingId;
+
+    // Edited text goes through moderation again; a review hidden by reports stays hidden
+    const moderation = checkReviewContent(review);
+    if (review.reportCount >= REPORT_HIDE_THRESHOLD) {
+      review.status = 'pending';
+      review.moderationReason = 'Reported by users';
+    } else {
+      review.status = moderation.status;
+      review.moderationReason = moderation.reason;
+    }
+    review.moderatedAt = null;
+
+    await review.save();
+    await refreshListerRating(review.listerId);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: review.status === 'published'
+        ? 'Review published'
+        : 'Review submitted and awaiting moderation',
+      review
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    logger.error('Error saving review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving review',
+      error: error.message
+    });
+  }
+};
+
+// Delete your own review
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findOneAndDelete({ _id: req.params.id, reviewerId: req.user._id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await refreshListerRating(review.listerId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting review',
+      error: error.message
+    });
+  }
+};
+
+// Report an abusive review; enough distinct reports hide it until an admin decides
+const reportReview = async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.id, status: 'published' });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.reviewerId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    if (review.reports.some(report => report.userId.toString() === req.user._id.toString())) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    review.reports.push({ userId: req.user._id, reason, details });
+    review.reportCount = review.reports.length;
+
+    if (review.reportCount >= REPORT_HIDE_THRESHOLD) {
+      review.status = 'pending';
+      review.moderationReason = 'Reported by users';
+    }
+
+    await review.save();
+
+    if (review.status !== 'published') {
+      await refreshListerRating(review.listerId);
+      logger.info('Review hidden after reports', { reviewId: review._id, reportCount: review.reportCount });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you, the review has been reported'
+    });
+  } catch (error) {
+    logger.error('Error reporting review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reporting review',
+      error: error.message
+    });
+  }
+};
+
+// Reviews for the moderation queue (?status=pending|published|rejected, ?reported=true)
+const getReviewsForModeration = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.reported === 'true') {
+      filter.reportCount = { $gt: 0 };
+    }
+
+    const [total, reviews] = await Promise.all([
+      Review.countDocuments(filter),
+      Review.find(filter)
+        .sort({ reportCount: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('reviewerId', 'firstName lastName email phoneNumber')
+        .populate('listerId', 'firstName lastName email phoneNumber')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      reviews,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+};
+
+// Publish or reject a review (admin); publishing clears its reports
+const moderateReview = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!['published', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be published or rejected'
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = status;
+    review.moderationReason = reason;
+    review.moderatedAt = new Date();
+    if (status === 'published') {
+      review.reports = [];
+      review.reportCount = 0;
+    }
+
+    await review.save();
+    await refreshListerRating(review.listerId);
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${status}`,
+      review
+    });
+  } catch (error) {
+    logger.error('Error moderating review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating review',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getListerReviews,
+  getReviewEligibility,
+  createReview,
+  deleteReview,
+  reportReview,
+  getReviewsForModeration,
+  moderateReview
+};
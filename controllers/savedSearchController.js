@@ -0,0 +1,241 @@
+const SavedSearch = require('../models/SavedSearch');
+const logger = require('../config/logger');
+
+const MAX_SAVED_SEARCHES = 20;
+const CRITERIA_FIELDS = [
+  'ville', 'commune', 'quartier', 'typeOfListing', 'listingType',
+  'priceMin', 'priceMax', 'priceCurrency', 'bedrooms', 'bathrooms', 'furnished'
+];
+
+// Keep only known criteria fields, converting form values to the right types
+const pickCriteria = (source = {}) => {
+  const criteria = {};
+
+  CRITERIA_FIELDS.forEach(field => {
+    const value = source[field];
+    if (value === undefined || value === null || value === '') return;
+
+    if (['priceMin', 'priceMax', 'bedrooms', 'bathrooms'].includes(field)) {
+      criteria[field] = parseFloat(value);
+    } else if (field === 'furnished') {
+      criteria[field] = value === true || value === 'true';
+    } else {
+      criteria[field] = value;
+    }
+  });
+
+  return criteria;
+};
+
+const formatValidationErrors = (error) => {
+  const errors = {};
+  for (const field in error.errors) {
+    errors[field] = error.errors[field].message;
+  }
+  return errors;
+};
+
+// List the current user's saved searches
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      savedSearches
+    });
+  } catch (error) {
+    logger.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved searches',
+      error: error.message
+    });
+  }
+};
+
+// Get a single saved search
+const getSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      savedSearch
+    });
+  } catch (error) {
+    logger.error('Error fetching saved search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved search',
+      error: error.message
+    });
+  }
+};
+
+// Create a saved search
+const createSavedSearch = async (req, res) => {
+  try {
+    const { name, channel, frequency } = req.body;
+    const criteria = pickCriteria(req.body.criteria || req.body);
+
+    if (Object.keys(criteria).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one search criterion is required'
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const savedSearch = new SavedSearch({
+      userId: req.user._id,
+      name,
+      criteria,
+      channel,
+      frequency,
+      lastCheckedAt: new Date()
+    });
+    await savedSearch.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      savedSearch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error)
+      });
+    }
+
+    logger.error('Error creating saved search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating saved search',
+      error: error.message
+    });
+  }
+};
+
+// Update a saved search (criteria, alert settings or pause/resume)
+const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const { name, channel, frequency, isActive } = req.body;
+
+    if (req.body.criteria) {
+      const criteria = pickCriteria(req.body.criteria);
+      if (Object.keys(criteria).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one search criterion is required'
+        });
+      }
+      savedSearch.criteria = criteria;
+    }
+
+    if (name !== undefined) savedSearch.name = name;
+    if (channel !== undefined) savedSearch.channel = channel;
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    if (isActive !== undefined) {
+      const active = isActive === true || isActive === 'true';
+      // Do not flood a user with everything published while the alert was paused
+      if (active && !savedSearch.isActive) {
+        savedSearch.lastCheckedAt = new Date();
+      }
+      savedSearch.isActive = active;
+    }
+
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      savedSearch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationErrors(error)
+      });
+    }
+
+    logger.error('Error updating saved search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved search',
+      error: error.message
+    });
+  }
+};
+
+// Delete a saved search
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const result = await SavedSearch.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting saved search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting saved search',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -1,6 +1,7 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Listing = require('../models/Listing');
 const WhatsAppVerification = require('../models/WhatsAppVerification');
 const whatsappService = require('../services/whatsappService');
 
@@ -127,6 +128,55 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+// Get a lister's public profile (name, member since, rating, active listings)
+const getPublicProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('firstName lastName createdAt rating');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const activeListings = await Listing.countDocuments({
+      createdBy: user._id,
+      isDeleted: false,
+      status: 'available',
+      activeSubscription: true
+    });
+
+    res.status(200).json({
+      success: true,
+      profile: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        memberSince: user.createdAt,
+        rating: {
+          average: user.rating?.average || 0,
+          count: user.rating?.count || 0
+        },
+        activeListings
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile'
+    });
+  }
+};
+
 // Request Phone Number Change Verification
 const requestPhoneVerification = async (req, res) => {
   try {
@@ -620,6 +670,7 @@ module.exports = {
   loginUser,
   getCurrentUser,
   getUserProfile,
+  getPublicProfile,
   updateProfile,
   changePassword,
   requestPhoneVerification,
@@ -0,0 +1,411 @@
+const Visit = require('../models/Visit');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { sendNotification, getFrontendUrl, formatDateTime } = require('../services/notificationService');
+
+const LISTER_BUSY_STATUSES = ['open', 'requested', 'confirmed'];
+const SEEKER_BUSY_STATUSES = ['requested', 'confirmed'];
+const MIN_SLOT_MINUTES = 15;
+const MAX_SLOT_MINUTES = 240;
+const MAX_SLOTS_PER_REQUEST = 50;
+
+// Notify a user about a visit change in the background
+const notifyUser = async (userId, message) => {
+  try {
+    const user = await User.findById(userId).select('phoneNumber');
+    const result = await sendNotification(user?.phoneNumber, message);
+    if (!result.success) {
+      logger.warn('Visit notification not delivered', { userId, error: result.error });
+    }
+  } catch (error) {
+    logger.error('Error sending visit notification', { userId, error: error.message });
+  }
+};
+
+const visitMessage = (title, visit, listing, extra = '') => `📅 *${title}*
+
+« ${listing.title} »
+${formatDateTime(visit.startTime)}${extra}
+
+${getFrontendUrl('/dashboard/visits')}`;
+
+// Publish one or more viewing slots on a listing (lister)
+const createSlots = async (req, res) => {
+  try {
+    const { listingId, slots } = req.body;
+
+    if (!listingId || !Array.isArray(slots) || slots.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'listingId and a non-empty slots array are required'
+      });
+    }
+
+    if (slots.length > MAX_SLOTS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `You can publish up to ${MAX_SLOTS_PER_REQUEST} slots at once`
+      });
+    }
+
+    const listing = await Listing.findById(listingId).select('createdBy isDeleted');
+    if (!listing || listing.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: You can only publish visit slots for your own listings'
+      });
+    }
+
+    // Validate every slot before saving any
+    const now = new Date();
+    const parsedSlots = [];
+    for (const [index, slot] of slots.entries()) {
+      const startTime = new Date(slot.startTime);
+      const endTime = new Date(slot.endTime);
+      const minutes = (endTime - startTime) / 60000;
+
+      if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+        return res.status(400).json({ success: false, message: `Slot ${index + 1}: invalid date` });
+      }
+      if (startTime <= now) {
+        return res.status(400).json({ success: false, message: `Slot ${index + 1}: must start in the future` });
+      }
+      if (minutes < MIN_SLOT_MINUTES || minutes > MAX_SLOT_MINUTES) {
+        return res.status(400).json({
+          success: false,
+          message: `Slot ${index + 1}: duration must be between ${MIN_SLOT_MINUTES} and ${MAX_SLOT_MINUTES} minutes`
+        });
+      }
+
+      const overlapsBatch = parsedSlots.some(other => startTime < other.endTime && endTime > other.startTime);
+      const existing = await Visit.findOverlap('listerId', req.user._id, startTime, endTime, LISTER_BUSY_STATUSES);
+      if (overlapsBatch || existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Slot ${index + 1}: overlaps another of your visit slots`,
+          conflictingVisitId: existing?._id
+        });
+      }
+
+      parsedSlots.push({ startTime, endTime });
+    }
+
+    const visits = await Visit.insertMany(parsedSlots.map(slot => ({
+      listingId: listing._id,
+      listerId: req.user._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${visits.length} visit slot(s) published`,
+      visits
+    });
+  } catch (error) {
+    logger.error('Error creating visit slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating visit slots',
+      error: error.message
+    });
+  }
+};
+
+// Get the open future slots of a listing (public)
+const getListingSlots = async (req, res) => {
+  try {
+    const visits = await Visit.find({
+      listingId: req.params.listingId,
+      status: 'open',
+      startTime: { $gt: new Date() }
+    })
+      .sort({ startTime: 1 })
+      .select('startTime endTime status');
+
+    res.status(200).json({
+      success: true,
+      slots: visits
+    });
+  } catch (error) {
+    logger.error('Error fetching visit slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visit slots',
+      error: error.message
+    });
+  }
+};
+
+// Remove an open slot (lister)
+const deleteSlot = async (req, res) => {
+  try {
+    const result = await Visit.deleteOne({
+      _id: req.params.id,
+      listerId: req.user._id,
+      status: 'open'
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open slot not found. Requested or confirmed visits must be cancelled instead'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit slot removed'
+    });
+  } catch (error) {
+    logger.error('Error deleting visit slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting visit slot',
+      error: error.message
+    });
+  }
+};
+
+// Request an open slot (seeker)
+const requestVisit = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit || visit.status !== 'open' || visit.startTime <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    if (visit.listerId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book a visit on your own listing'
+      });
+    }
+
+    const conflict = await Visit.findOverlap('seekerId', req.user._id, visit.startTime, visit.endTime, SEEKER_BUSY_STATUSES);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a visit at this time',
+        conflictingVisitId: conflict._id
+      });
+    }
+
+    // Only succeeds if nobody took the slot in the meantime
+    const updated = await Visit.findOneAndUpdate(
+      { _id: visit._id, status: 'open' },
+      {
+        $set: {
+          status: 'requested',
+          seekerId: req.user._id,
+          note: req.body.note,
+          requestedAt: new Date()
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot was just taken by someone else'
+      });
+    }
+
+    const listing = await Listing.findById(updated.listingId).select('title');
+    notifyUser(updated.listerId, visitMessage(
+      'Nouvelle demande de visite',
+      updated,
+      listing,
+      `\nDe : ${req.user.firstName} ${req.user.lastName}\nConfirmez la visite depuis votre espace Ndaku.`
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit requested. The lister will confirm shortly',
+      visit: updated
+    });
+  } catch (error) {
+    logger.error('Error requesting visit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting visit',
+      error: error.message
+    });
+  }
+};
+
+// Confirm a requested visit (lister)
+const confirmVisit = async (req, res) => {
+  try {
+    const request = await Visit.findOne({ _id: req.params.id, listerId: req.user._id, status: 'requested' })
+      .select('listingId');
+    const listing = request &&
+      await Listing.findById(request.listingId).select('title address quartier commune');
+
+    if (!request || !listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit request not found'
+      });
+    }
+
+    const visit = await Visit.findOneAndUpdate(
+      { _id: request._id, listerId: req.user._id, status: 'requested' },
+      { $set: { status: 'confirmed', confirmedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!visit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit request not found'
+      });
+    }
+
+    notifyUser(visit.seekerId, visitMessage(
+      'Visite confirmée',
+      visit,
+      listing,
+      `\nAdresse : ${listing.address}, ${listing.quartier}, ${listing.commune}`
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit confirmed',
+      visit
+    });
+  } catch (error) {
+    logger.error('Error confirming visit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming visit',
+      error: error.message
+    });
+  }
+};
+
+// Cancel a visit. The seeker's cancellation or the lister's decline reopens the slot;
+// the lister's cancellation removes the slot.
+const cancelVisit = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id);
+    const userId = req.user._id.toString();
+
+    const isLister = visit && visit.listerId.toString() === userId;
+    const isSeeker = visit && visit.seekerId && visit.seekerId.toString() === userId;
+
+    if (!visit || (!isLister && !isSeeker)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit not found'
+      });
+    }
+
+    if (!['open', 'requested', 'confirmed'].includes(visit.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Visit is already ${visit.status}`
+      });
+    }
+
+    const { reason, reopen } = req.body;
+    const seekerId = visit.seekerId;
+    const listing = await Listing.findById(visit.listingId).select('title');
+
+    if (isSeeker || (isLister && (reopen === true || reopen === 'true') && visit.status !== 'open')) {
+      // Free the slot for other seekers
+      visit.status = 'open';
+      visit.seekerId = null;
+      visit.note = undefined;
+      visit.requestedAt = null;
+      visit.confirmedAt = null;
+    } else {
+      visit.status = 'cancelled';
+      visit.cancelledAt = new Date();
+      visit.cancelledBy = 'lister';
+      visit.cancellationReason = reason;
+    }
+    await visit.save();
+
+    const extra = reason ? `\nMotif : ${reason}` : '';
+    if (isSeeker) {
+      notifyUser(visit.listerId, visitMessage('Visite annulée par le visiteur', visit, listing, extra));
+    } else if (seekerId) {
+      notifyUser(seekerId, visitMessage('Visite annulée par l\'annonceur', visit, listing, extra));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: visit.status === 'open' ? 'Visit cancelled, the slot is open again' : 'Visit cancelled',
+      visit
+    });
+  } catch (error) {
+    logger.error('Error cancelling visit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling visit',
+      error: error.message
+    });
+  }
+};
+
+// List the current user's upcoming visits (?as=seeker|lister)
+const getUpcomingVisits = async (req, res) => {
+  try {
+    const filter = { endTime: { $gt: new Date() } };
+
+    if (req.query.as === 'lister') {
+      filter.listerId = req.user._id;
+      filter.status = { $in: ['open', 'requested', 'confirmed'] };
+    } else {
+      filter.seekerId = req.user._id;
+      filter.status = { $in: SEEKER_BUSY_STATUSES };
+    }
+
+    if (req.query.listingId) {
+      filter.listingId = req.query.listingId;
+    }
+
+    const visits = await Visit.find(filter)
+      .sort({ startTime: 1 })
+      .limit(200)
+      .populate('listingId', 'title images address quartier commune')
+      .populate('seekerId', 'firstName lastName phoneNumber')
+      .populate('listerId', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      visits
+    });
+  } catch (error) {
+    logger.error('Error fetching upcoming visits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upcoming visits',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSlots,
+  getListingSlots,
+  deleteSlot,
+  requestVisit,
+  confirmVisit,
+  cancelVisit,
+  getUpcomingVisits
+};
@@ -27,6 +27,20 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalAuthenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = await User.findById(decoded.userId).select('-password');
+  } catch (error) {
+    req.user = undefined;
+  }
+  next();
+};
+
 // Role checking middleware
 const roleCheck = (role) => (req, res, next) => {
   if (req.user?.role !== role) {
@@ -35,4 +49,4 @@ const roleCheck = (role) => (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, roleCheck };
+module.exports = { authenticate, optionalAuthenticate, roleCheck };
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// A real-estate agency whose agents post listings under one brand
+const agencySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Agency name is required'],
+    trim: true,
+    maxlength: [100, 'Agency name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  logo: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address']
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'agent'],
+      default: 'agent'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users invited by an owner; they join the agency once they accept
+  invitations: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'agent'],
+      default: 'agent'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user belongs to at most one agency
+agencySchema.index({ 'members.userId': 1 }, { unique: true, sparse: true });
+agencySchema.index({ 'invitations.userId': 1 });
+
+agencySchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString());
+};
+
+agencySchema.methods.isOwner = function(userId) {
+  return this.getMember(userId)?.role === 'owner';
+};
+
+agencySchema.methods.getInvitation = function(userId) {
+  return this.invitations.find(invitation => invitation.userId.toString() === userId.toString());
+};
+
+// Build a URL-friendly identifier from the agency name
+agencySchema.statics.generateSlug = async function(name) {
+  const base = name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'agence';
+
+  let slug = base;
+  let count = 0;
+  while (await this.exists({ slug })) {
+    count++;
+    slug = `${base}-${count}`;
+  }
+  return slug;
+};
+
+module.exports = mongoose.model('Agency', agencySchema);
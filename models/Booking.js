@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Reservation request on a daily rental listing
+const bookingSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  guestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // UTC midnight dates; check-out day is not a booked night
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date,
+    required: true
+  },
+  // One entry per booked night, used by the unique index to prevent double bookings
+  nights: {
+    type: [Date],
+    required: true
+  },
+  guests: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  pricePerNight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: ['USD', 'CDF'],
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot be more than 1000 characters']
+  },
+  // awaiting_deposit: dates held until the deposit is paid or the hold expires
+  // pending: waiting for the host to accept
+  status: {
+    type: String,
+    enum: ['awaiting_deposit', 'pending', 'confirmed', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  deposit: {
+    amount: { type: Number, default: 0, min: 0 },
+    status: {
+      type: String,
+      enum: ['none', 'unpaid', 'pending', 'paid', 'failed', 'refund_due'],
+      default: 'none'
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null
+    },
+    paidAt: { type: Date, default: null }
+  },
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // True while the booking reserves its nights (awaiting deposit, pending or confirmed)
+  holdsDates: {
+    type: Boolean,
+    default: true
+  },
+  confirmedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelledBy: {
+    type: String,
+    enum: ['guest', 'host', 'system', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A night of a listing can be held by a single active booking
+bookingSchema.index(
+  { listingId: 1, nights: 1 },
+  { unique: true, partialFilterExpression: { holdsDates: true } }
+);
+bookingSchema.index({ guestId: 1, checkIn: -1 });
+bookingSchema.index({ hostId: 1, checkIn: -1 });
+bookingSchema.index({ listingId: 1, checkIn: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+
+// Release the nights so they can be booked again; a paid deposit is flagged for refund
+bookingSchema.methods.release = function(status, by) {
+  this.status = status;
+  this.holdsDates = false;
+  this.holdExpiresAt = null;
+  this.cancelledAt = new Date();
+  this.cancelledBy = by;
+  if (this.deposit.status === 'paid') {
+    this.deposit.status = 'refund_due';
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A commune of a district
+const communeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Stable identifier used in URLs, prefixed by the ville slug
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  villeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ville',
+    required: true
+  },
+  districtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+communeSchema.index({ districtId: 1, name: 1 });
+communeSchema.index({ villeId: 1, name: 1 });
+
+module.exports = mongoose.model('Commune', communeSchema);
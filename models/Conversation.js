@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Inquiry thread between a seeker and the lister of one listing
+const conversationSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  seekerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  listerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMessagePreview: {
+    type: String,
+    default: ''
+  },
+  seekerUnreadCount: {
+    type: Number,
+    default: 0
+  },
+  listerUnreadCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One thread per seeker and listing
+conversationSchema.index({ listingId: 1, seekerId: 1 }, { unique: true });
+conversationSchema.index({ seekerId: 1, lastMessageAt: -1 });
+conversationSchema.index({ listerId: 1, lastMessageAt: -1 });
+
+conversationSchema.methods.isParticipant = function(userId) {
+  const id = userId.toString();
+  return this.seekerId.toString() === id || this.listerId.toString() === id;
+};
+
+// 'seeker' or 'lister' for a participant
+conversationSchema.methods.roleOf = function(userId) {
+  return this.listerId.toString() === userId.toString() ? 'lister' : 'seeker';
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A district of a ville, grouping communes
+const districtSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Stable identifier used in URLs, prefixed by the ville slug
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  villeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ville',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+districtSchema.index({ villeId: 1, name: 1 });
+
+module.exports = mongoose.model('District', districtSchema);
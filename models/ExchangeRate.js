@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A USD to CDF rate published by an admin, applying from its effective date until the next one
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    enum: ['USD'],
+    default: 'USD'
+  },
+  quote: {
+    type: String,
+    enum: ['CDF'],
+    default: 'CDF'
+  },
+  // Amount of quote currency for one unit of base currency
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.0001, 'Rate must be positive']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set once listing prices have been recomputed with this rate
+  pricesSyncedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1, effectiveFrom: -1 });
+
+// Rate in effect at the given date
+exchangeRateSchema.statics.findEffective = function(date = new Date(), base = 'USD', quote = 'CDF') {
+  return this.findOne({ base, quote, effectiveFrom: { $lte: date } }).sort({ effectiveFrom: -1, createdAt: -1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user can favorite a listing only once
+favoriteSchema.index({ userId: 1, listingId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+favoriteSchema.index({ listingId: 1 });
+
+// Favorite counts keyed by listing id, for a set of listings
+favoriteSchema.statics.countByListing = async function(listingIds) {
+  const counts = await this.aggregate([
+    { $match: { listingId: { $in: listingIds } } },
+    { $group: { _id: '$listingId', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((map, { _id, count }) => {
+    map[_id.toString()] = count;
+    return map;
+  }, {});
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getUsdToCdfRate, toBothCurrencies } = require('../services/exchangeRateService');
+const { SEARCH_SOURCE_FIELDS, buildSearchTerms } = require('../services/searchService');
 
 const listingSchema = new mongoose.Schema({
   // Basic listing information
@@ -115,6 +117,25 @@ const listingSchema = new mongoose.Schema({
     required: [true, 'City is required'],
     trim: true
   },
+  // GeoJSON point for map and distance search, stored as [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: coords => !coords || (
+          coords.length === 2 &&
+          coords[0] >= -180 && coords[0] <= 180 &&
+          coords[1] >= -90 && coords[1] <= 90
+        ),
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
 
   // Media content
   images: { 
@@ -180,6 +201,40 @@ const listingSchema = new mongoose.Schema({
   subscriptionStartDate: {
     type: Date,
     default: null
+  },
+  // Duration of the paid plan, applied once the listing is approved
+  subscriptionMonths: {
+    type: Number,
+    default: null
+  },
+  // Review of paid listings before they go live
+  moderationStatus: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', null],
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  submittedForReviewAt: {
+    type: Date,
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Open reports from distinct users or visitors
+  reportCount: {
+    type: Number,
+    default: 0
   },
     activeSubscription: {
     type: Boolean,
@@ -199,9 +254,61 @@ const listingSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Agency the listing is published under, if the author is an agent
+  agencyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agency',
+    default: null
+  },
   tags: {
     type: [String],
     default: []
+  },
+  // Price of the listing type in both currencies, for filtering and sorting across currencies
+  priceUSD: {
+    type: Number,
+    default: null
+  },
+  priceCDF: {
+    type: Number,
+    default: null
+  },
+  // Every price set on the listing, oldest first (capped to the latest entries)
+  priceHistory: {
+    type: [{
+      _id: false,
+      price: Number,
+      currency: String,
+      priceUSD: Number,
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  // Normalized address and photo hashes compared with later listings to spot re-posts
+  duplicateSignature: {
+    type: new mongoose.Schema({
+      addressKey: String,
+      imageHashes: [String]
+    }, { _id: false }),
+    select: false
+  },
+  // Latest price drop, shown as a "price reduced" badge for a while
+  lastPriceDropAt: {
+    type: Date,
+    default: null
+  },
+  previousPriceUSD: {
+    type: Number,
+    default: null
+  },
+  // Stems of the searchable fields and their typo keys, maintained by the search service
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  searchFuzzy: {
+    type: [String],
+    select: false
   }
 }, { 
   timestamps: true,
@@ -262,6 +369,130 @@ listingSchema.pre('save', function(next) {
   next();
 });
 
+// Price field used by each listing type
+const PRICE_FIELDS = {
+  rent: 'priceMonthly',
+  daily: 'priceDaily',
+  sale: 'priceSale'
+};
+
+const MAX_PRICE_HISTORY = 50;
+
+// Keep the normalized prices in line with the price and currency, and record price changes.
+// A drop is compared in USD, so switching currency is not mistaken for one, and is left in
+// $locals.priceDrop for the caller to notify about.
+listingSchema.pre('save', async function() {
+  const priceField = PRICE_FIELDS[this.listingType];
+  if (!this.isNew && !this.isModified(priceField) && !this.isModified('currency') && !this.isModified('listingType')) {
+    return;
+  }
+
+  const rate = await getUsdToCdfRate();
+  const storedPriceUSD = this.priceUSD;
+  const prices = toBothCurrencies(this[priceField], this.currency, rate);
+  this.priceUSD = prices ? prices.usd : null;
+  this.priceCDF = prices ? prices.cdf : null;
+
+  const last = this.priceHistory[this.priceHistory.length - 1];
+  if (!prices || (last && last.price === this[priceField] && last.currency === this.currency)) {
+    return;
+  }
+
+  // Listings priced before the history existed compare with their stored normalized price
+  const previousPriceUSD = last
+    ? toBothCurrencies(last.price, last.currency, rate).usd
+    : storedPriceUSD;
+
+  if (!this.isNew && !this.isModified('listingType') && previousPriceUSD > prices.usd) {
+    this.lastPriceDropAt = new Date();
+    this.previousPriceUSD = previousPriceUSD;
+    this.$locals.priceDrop = { previousPriceUSD, priceUSD: prices.usd };
+  } else if (this.lastPriceDropAt) {
+    // The price went back up, or is not comparable any more
+    this.lastPriceDropAt = null;
+    this.previousPriceUSD = null;
+  }
+
+  this.priceHistory.push({
+    price: this[priceField],
+    currency: this.currency,
+    priceUSD: prices.usd
+  });
+  if (this.priceHistory.length > MAX_PRICE_HISTORY) {
+    this.priceHistory = this.priceHistory.slice(-MAX_PRICE_HISTORY);
+  }
+});
+
+// Keep the search terms in line with the searchable fields
+listingSchema.pre('save', function() {
+  if (!this.isNew && !SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    return;
+  }
+
+  Object.assign(this, buildSearchTerms(this));
+});
+
+/**
+ * Recompute the search terms of the matching listings, by default the ones saved
+ * before search terms existed. Needed after updates that bypass the save hook.
+ */
+listingSchema.statics.syncSearchTerms = async function(filter = { searchTerms: { $exists: false } }) {
+  const cursor = this.find(filter).select(SEARCH_SOURCE_FIELDS.join(' ')).lean().cursor();
+  let operations = [];
+  let modifiedCount = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await this.bulkWrite(operations, { ordered: false });
+    modifiedCount += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const listing of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: listing._id },
+        update: { $set: buildSearchTerms(listing) }
+      }
+    });
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  return modifiedCount;
+};
+
+/**
+ * Recompute the normalized prices of the listings matching `filter` (all by default) with the
+ * given rate, e.g. after the rate changed or for listings saved before these fields existed.
+ */
+listingSchema.statics.syncNormalizedPrices = async function(rate, filter = {}) {
+  const price = {
+    $switch: {
+      branches: Object.entries(PRICE_FIELDS).map(([type, field]) => ({
+        case: { $eq: ['$listingType', type] },
+        then: `$${field}`
+      })),
+      default: null
+    }
+  };
+  const isCDF = { $eq: ['$currency', 'CDF'] };
+
+  // Missing prices give null in both currencies
+  const result = await this.updateMany(filter, [
+    { $set: { normalizedPrice: price } },
+    {
+      $set: {
+        priceUSD: { $round: [{ $cond: [isCDF, { $divide: ['$normalizedPrice', rate] }, '$normalizedPrice'] }, 2] },
+        priceCDF: { $round: [{ $cond: [isCDF, '$normalizedPrice', { $multiply: ['$normalizedPrice', rate] }] }, 0] }
+      }
+    },
+    { $unset: 'normalizedPrice' }
+  ]);
+
+  return result.modifiedCount;
+};
+
 // Virtual for calculating days until expiry
 listingSchema.virtual('daysUntilExpiry').get(function() {
   if (!this.expiryDate) return 0;
@@ -292,6 +523,19 @@ listingSchema.methods.markAsSold = function() {
   return this.save();
 };
 
+// Publish the listing for a paid plan starting now
+listingSchema.methods.activateSubscription = function(durationMonths) {
+  const currentDate = new Date();
+  const expiryDate = new Date(currentDate);
+  expiryDate.setMonth(currentDate.getMonth() + durationMonths);
+
+  this.status = 'available';
+  this.isDeleted = false;
+  this.expiryDate = expiryDate;
+  this.subscriptionStartDate = currentDate;
+  this.activeSubscription = true;
+};
+
 // Static method to update listing after payment
 listingSchema.statics.updateAfterPayment = async function(listingId, planId, durationMonths) {
   const listing = await this.findById(listingId);
@@ -316,28 +560,29 @@ listingSchema.statics.updateAfterPayment = async function(listingId, planId, dur
 // Indexes for better query performance
 listingSchema.index({ commune: 1, typeOfListing: 1 });
 listingSchema.index({ ville: 1 });
-listingSchema.index({ priceMonthly: 1 });
-listingSchema.index({ priceSale: 1 });
-listingSchema.index({ priceDaily: 1 });
+// Sort keys of the feed, with _id as tie-breaker for cursor pagination
+listingSchema.index({ createdAt: -1, _id: -1 });
+listingSchema.index({ priceUSD: 1, _id: 1 });
+listingSchema.index({ priceCDF: 1 });
+listingSchema.index({ lastPriceDropAt: -1 });
+listingSchema.index({ commune: 1, quartier: 1, listingType: 1 });
+listingSchema.index({ 'duplicateSignature.imageHashes': 1 });
 listingSchema.index({ createdBy: 1 });
+listingSchema.index({ agencyId: 1, createdAt: -1 });
 listingSchema.index({ isDeleted: 1, status: 1 });
 listingSchema.index({ 'details.bedroom': 1 });
 listingSchema.index({ isFeatured: 1 });
 listingSchema.index({ expiryDate: 1 });
 listingSchema.index({ paymentStatus: 1 });
+listingSchema.index({ moderationStatus: 1, submittedForReviewAt: 1 });
 listingSchema.index({ subscriptionPlan: 1 });
 listingSchema.index({ createdAt: -1 });
 listingSchema.index({ updatedAt: -1 });
 listingSchema.index({ expiryDate: 1, activeSubscription: 1 });
+listingSchema.index({ location: '2dsphere' });
 
-// Text index for search functionality
-listingSchema.index({
-  title: 'text',
-  description: 'text',
-  address: 'text',
-  commune: 'text',
-  quartier: 'text',
-  ville: 'text'
-});
+// Search terms and typo keys for the listing search
+listingSchema.index({ searchTerms: 1 });
+listingSchema.index({ searchFuzzy: 1 });
 
 module.exports = mongoose.model('Listing', listingSchema);
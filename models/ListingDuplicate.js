@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A listing flagged as a probable duplicate of an earlier one, awaiting admin review
+const listingDuplicateSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  duplicateOfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  sameOwner: {
+    type: Boolean,
+    default: false
+  },
+  // Similarity between 0 and 100, and the criteria that matched
+  score: {
+    type: Number,
+    required: true
+  },
+  reasons: {
+    type: [String],
+    enum: ['address', 'details', 'price', 'images'],
+    default: []
+  },
+  isExact: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'dismissed'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+listingDuplicateSchema.index({ listingId: 1, duplicateOfId: 1 }, { unique: true });
+listingDuplicateSchema.index({ status: 1, score: -1, createdAt: 1 });
+
+module.exports = mongoose.model('ListingDuplicate', listingDuplicateSchema);
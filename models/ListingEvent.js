@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Short-lived record of a visitor interaction, used to count each visitor once per window
+const listingEventSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'phone_reveal', 'whatsapp_click'],
+    required: true
+  },
+  // User id for logged-in visitors, otherwise a hash of IP and user agent
+  visitorKey: {
+    type: String,
+    required: true
+  },
+  // Start of the deduplication window the event falls in
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 // Keep for 1 day
+  }
+});
+
+listingEventSchema.index({ listingId: 1, type: 1, visitorKey: 1, windowStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('ListingEvent', listingEventSchema);
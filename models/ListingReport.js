@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['scam', 'wrong_price', 'already_rented', 'wrong_location', 'wrong_photos', 'duplicate', 'other'];
+
+// A report of a fraudulent or stale listing, by a user or an anonymous visitor
+const listingReportSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // "user:<id>" or "ip:<hash>", so each reporter counts once per listing
+  reporterKey: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  listerContactedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One open report per reporter and listing; they can report again once it is closed
+listingReportSchema.index(
+  { listingId: 1, reporterKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+listingReportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ListingReport', listingReportSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Per-listing daily counters for listers
+const listingStatSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  // UTC midnight of the day the counters belong to
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  phoneReveals: {
+    type: Number,
+    default: 0
+  },
+  whatsappClicks: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+listingStatSchema.index({ listingId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ListingStat', listingStatSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A quartier (neighbourhood) of a commune
+const quartierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Stable identifier used in URLs, prefixed by the commune slug
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  villeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ville',
+    required: true
+  },
+  districtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District',
+    required: true
+  },
+  communeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commune',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+quartierSchema.index({ communeId: 1, name: 1 });
+
+module.exports = mongoose.model('Quartier', quartierSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Availability rules of a daily rental listing
+const rentalCalendarSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    unique: true
+  },
+  minNights: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum nights must be at least 1']
+  },
+  maxNights: {
+    type: Number,
+    default: 90,
+    min: [1, 'Maximum nights must be at least 1']
+  },
+  // Allowed weekdays (0 = Sunday ... 6 = Saturday); empty means any day
+  checkInDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  },
+  checkOutDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  },
+  // Date ranges the host closed, end date exclusive (like a check-out day)
+  blockedDates: [{
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    reason: { type: String, trim: true },
+    source: { type: String, enum: ['manual', 'ical'], default: 'manual' },
+    externalUid: { type: String }
+  }],
+  // Calendar of another platform to import blocked dates from
+  icalImportUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  lastImportedAt: {
+    type: Date,
+    default: null
+  },
+  // Secret used in the public iCal export link
+  icalExportToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  }
+}, {
+  timestamps: true
+});
+
+rentalCalendarSchema.index({ icalImportUrl: 1 });
+
+// Blocked range overlapping [start, end), if any
+rentalCalendarSchema.methods.findBlockedOverlap = function(start, end) {
+  return this.blockedDates.find(block => block.start < end && block.end > start);
+};
+
+// Calendar of a listing, created with defaults on first use
+rentalCalendarSchema.statics.findOrCreate = async function(listingId) {
+  return this.findOneAndUpdate(
+    { listingId },
+    { $setOnInsert: { listingId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('RentalCalendar', rentalCalendarSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A seeker's rating of a lister, one per reviewer and lister
+const reviewSchema = new mongoose.Schema({
+  listerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    default: null
+  },
+  // The interaction that allowed the review
+  basis: {
+    type: String,
+    enum: ['visit', 'booking', 'conversation'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  // Only published reviews are shown and counted in the lister's rating
+  status: {
+    type: String,
+    enum: ['pending', 'published', 'rejected'],
+    default: 'published'
+  },
+  moderationReason: {
+    type: String,
+    trim: true
+  },
+  moderatedAt: { type: Date, default: null },
+  reports: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: {
+      type: String,
+      enum: ['offensive', 'false_information', 'spam', 'personal_information', 'other'],
+      required: true
+    },
+    details: { type: String, trim: true, maxlength: 500 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ listerId: 1, reviewerId: 1 }, { unique: true });
+reviewSchema.index({ listerId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, reportCount: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Same parameters as the public listings query
+  criteria: {
+    ville: { type: String, trim: true },
+    commune: { type: String, trim: true },
+    quartier: { type: String, trim: true },
+    typeOfListing: {
+      type: String,
+      enum: ['apartment', 'house', 'condo', 'office', 'land', 'studio', 'other']
+    },
+    listingType: {
+      type: String,
+      enum: ['sale', 'rent', 'daily']
+    },
+    priceMin: { type: Number, min: 0 },
+    priceMax: { type: Number, min: 0 },
+    priceCurrency: {
+      type: String,
+      enum: ['USD', 'CDF']
+    },
+    bedrooms: { type: Number, min: 0 },
+    bathrooms: { type: Number, min: 0 },
+    furnished: { type: Boolean }
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms'],
+    default: 'whatsapp'
+  },
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily'],
+    default: 'daily'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Listings activated after this date have not been checked yet
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1 });
+
+// Convert criteria into the query-string shape expected by buildListingFilter
+savedSearchSchema.methods.toListingQuery = function() {
+  const { criteria = {} } = this.toObject();
+  const query = {};
+
+  Object.keys(criteria).forEach(key => {
+    if (criteria[key] !== undefined && criteria[key] !== null && criteria[key] !== '') {
+      query[key] = String(criteria[key]);
+    }
+  });
+
+  return query;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
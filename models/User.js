@@ -10,6 +10,11 @@ const userSchema = new mongoose.Schema(
     username: { type: String, unique: true },
     profileUpdated: { type: Boolean, default: false },
     refreshToken: { type: String },  // Store refresh token here
+    // Published review summary, kept up to date by the review service
+    rating: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 }
+    },
   },
   { timestamps: true }
 );
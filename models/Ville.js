@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A city or province; listings can only be created in active villes
+const villeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Stable identifier used in URLs; not changed when the ville is renamed
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    unique: true
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+villeSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Ville', villeSchema);
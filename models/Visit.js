@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A viewing time slot published by a lister; seekers request it and the lister confirms
+const visitSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  listerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seekerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'requested', 'confirmed', 'cancelled', 'completed'],
+    default: 'open'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  requestedAt: { type: Date, default: null },
+  confirmedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelledBy: {
+    type: String,
+    enum: ['seeker', 'lister', null],
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  reminderSentAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+visitSchema.index({ listingId: 1, startTime: 1 });
+visitSchema.index({ listerId: 1, startTime: 1 });
+visitSchema.index({ seekerId: 1, startTime: 1 });
+visitSchema.index({ status: 1, startTime: 1, reminderSentAt: 1 });
+
+// Find a visit of the given owner that overlaps [startTime, endTime)
+visitSchema.statics.findOverlap = function(ownerField, ownerId, startTime, endTime, statuses, excludeId) {
+  const filter = {
+    [ownerField]: ownerId,
+    status: { $in: statuses },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.findOne(filter);
+};
+
+module.exports = mongoose.model('Visit', visitSchema);
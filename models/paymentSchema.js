@@ -11,14 +11,31 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Listing',
     required: true
   },
+  // What the payment is for: a listing subscription plan or a booking deposit
+  purpose: {
+    type: String,
+    enum: ['listing_subscription', 'booking_deposit'],
+    default: 'listing_subscription'
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: function() {
+      return this.purpose === 'booking_deposit';
+    }
+  },
   planId: {
     type: String,
-    required: true,
-    enum: ['1_month', '2_months', '3_months', '6_months', '12_months']
+    enum: ['1_month', '2_months', '3_months', '6_months', '12_months'],
+    required: function() {
+      return this.purpose === 'listing_subscription';
+    }
   },
   duration: {
     type: Number,
-    required: true
+    required: function() {
+      return this.purpose === 'listing_subscription';
+    }
   },
   amountUSD: {
     type: Number,
@@ -28,6 +45,16 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // USD to CDF rate used to compute the amounts, and the published rate it came from
+  // (null when the default rate applied)
+  exchangeRate: {
+    type: Number
+  },
+  exchangeRateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRate',
+    default: null
+  },
   amount: {
     type: Number,
     required: true
@@ -88,6 +115,7 @@ const paymentSchema = new mongoose.Schema({
 // Index for faster queries
 paymentSchema.index({ userId: 1, createdAt: -1 });
 paymentSchema.index({ listingId: 1 });
+paymentSchema.index({ bookingId: 1 });
 paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ externalId: 1 });
 paymentSchema.index({ status: 1 });
@@ -10,6 +10,22 @@ const {
   deleteListing,
   updateAdminProfile
 } = require('../controllers/adminController');
+const { getReviewsForModeration, moderateReview } = require('../controllers/reviewController');
+const { exportAllListings } = require('../controllers/listingExportController');
+const {
+  listLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation
+} = require('../controllers/locationController');
+const { getExchangeRates, publishExchangeRate } = require('../controllers/exchangeRateController');
+const { getDuplicateQueue, reviewDuplicate } = require('../controllers/duplicateController');
+const { getModerationQueue, moderateListing } = require('../controllers/moderationController');
+const {
+  getListingReports,
+  resolveListingReport,
+  contactReportedLister
+} = require('../controllers/listingReportController');
 
 // Admin Authentication
 router.post('/register', registerAdmin);
@@ -21,8 +37,36 @@ router.delete('/users/:id', authenticate, roleCheck('admin'), deleteUser);
 
 // Listing Management
 router.get('/listings', authenticate, roleCheck('admin'), getAllListings);
+router.get('/listings/export', authenticate, roleCheck('admin'), exportAllListings);
 router.delete('/listings/:id', authenticate, roleCheck('admin'), deleteListing);
 
+// Listing Moderation
+router.get('/moderation', authenticate, roleCheck('admin'), getModerationQueue);
+router.patch('/moderation/:id', authenticate, roleCheck('admin'), moderateListing);
+
+// Listing Reports
+router.get('/reports', authenticate, roleCheck('admin'), getListingReports);
+router.patch('/reports/:id', authenticate, roleCheck('admin'), resolveListingReport);
+router.post('/reports/:id/contact', authenticate, roleCheck('admin'), contactReportedLister);
+
+// Duplicate Listings Review
+router.get('/duplicates', authenticate, roleCheck('admin'), getDuplicateQueue);
+router.patch('/duplicates/:id', authenticate, roleCheck('admin'), reviewDuplicate);
+
+// Location Management (levels: villes, districts, communes, quartiers)
+router.get('/locations/:level', authenticate, roleCheck('admin'), listLocations);
+router.post('/locations/:level', authenticate, roleCheck('admin'), createLocation);
+router.patch('/locations/:level/:id', authenticate, roleCheck('admin'), updateLocation);
+router.delete('/locations/:level/:id', authenticate, roleCheck('admin'), deleteLocation);
+
+// Exchange Rates
+router.get('/exchange-rates', authenticate, roleCheck('admin'), getExchangeRates);
+router.post('/exchange-rates', authenticate, roleCheck('admin'), publishExchangeRate);
+
+// Review Moderation
+router.get('/reviews', authenticate, roleCheck('admin'), getReviewsForModeration);
+router.patch('/reviews/:id', authenticate, roleCheck('admin'), moderateReview);
+
 // Admin Profile Update
 router.put('/update-profile', authenticate, roleCheck(['admin', 'superadmin']), updateAdminProfile);
 
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const agencyController = require('../controllers/agencyController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route GET /api/agencies/me
+ * @desc The current user's agency and members
+ * @access Private
+ */
+router.get('/me', authenticate, agencyController.getMyAgency);
+
+/**
+ * @route GET /api/agencies/invitations
+ * @desc The current user's pending agency invitations
+ * @access Private
+ */
+router.get('/invitations', authenticate, agencyController.getMyInvitations);
+
+/**
+ * @route GET /api/agencies/:idOrSlug
+ * @desc Public agency page
+ * @access Public
+ */
+router.get('/:idOrSlug', agencyController.getAgency);
+
+router.use(authenticate);
+
+/**
+ * @route POST /api/agencies
+ * @desc Create an agency (the creator becomes owner; attachListings=true moves their listings in)
+ * @access Private
+ */
+router.post('/', agencyController.createAgency);
+
+/**
+ * @route PUT /api/agencies/:id
+ * @desc Update agency branding and contact details
+ * @access Private (owner)
+ */
+router.put('/:id', agencyController.updateAgency);
+
+/**
+ * @route POST /api/agencies/:id/invitations
+ * @desc Invite an agent or owner by email or phone number
+ * @access Private (owner)
+ */
+router.post('/:id/invitations', agencyController.inviteMember);
+
+/**
+ * @route POST /api/agencies/:id/invitations/accept
+ * @desc Accept an invitation and join the agency
+ * @access Private (invited user)
+ */
+router.post('/:id/invitations/accept', agencyController.acceptInvitation);
+
+/**
+ * @route DELETE /api/agencies/:id/invitations/:userId
+ * @desc Cancel an invitation, or decline it
+ * @access Private (owner, or the invited user)
+ */
+router.delete('/:id/invitations/:userId', agencyController.cancelInvitation);
+
+/**
+ * @route PATCH /api/agencies/:id/members/:userId
+ * @desc Change a member's role
+ * @access Private (owner)
+ */
+router.patch('/:id/members/:userId', agencyController.updateMemberRole);
+
+/**
+ * @route DELETE /api/agencies/:id/members/:userId
+ * @desc Remove a member, or leave the agency
+ * @access Private (owner, or the member)
+ */
+router.delete('/:id/members/:userId', agencyController.removeMember);
+
+/**
+ * @route GET /api/agencies/:id/listings
+ * @desc All listings of the agency (?agentId=, ?status=)
+ * @access Private (owner)
+ */
+router.get('/:id/listings', agencyController.getAgencyListings);
+
+/**
+ * @route GET /api/agencies/:id/payments
+ * @desc Subscription payments for the agency's listings
+ * @access Private (owner)
+ */
+router.get('/:id/payments', agencyController.getAgencyPayments);
+
+module.exports = router;
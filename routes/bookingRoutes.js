@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const bookingController = require('../controllers/bookingController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+
+// Calendar imports download a remote file; keep them occasional
+const importLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many calendar imports, please try again later'
+  }
+});
+
+/**
+ * @route GET /api/bookings/listings/:listingId/calendar.ics?token=
+ * @desc iCal feed of a daily rental for other platforms
+ * @access Public (secret token)
+ */
+router.get('/listings/:listingId/calendar.ics', bookingController.exportIcal);
+
+/**
+ * @route GET /api/bookings/listings/:listingId/calendar
+ * @desc Stay rules and unavailable dates of a daily rental (?from=&to=)
+ * @access Public (owner also gets blocked ranges and iCal links)
+ */
+router.get('/listings/:listingId/calendar', optionalAuthenticate, bookingController.getCalendar);
+
+router.use(authenticate);
+
+/**
+ * @route PUT /api/bookings/listings/:listingId/calendar
+ * @desc Update minimum/maximum nights, check-in/out days and the iCal import URL
+ * @access Private (host)
+ */
+router.put('/listings/:listingId/calendar', bookingController.updateCalendarSettings);
+
+/**
+ * @route POST /api/bookings/listings/:listingId/calendar/blocks
+ * @desc Block a date range
+ * @access Private (host)
+ */
+router.post('/listings/:listingId/calendar/blocks', bookingController.addBlockedDates);
+
+/**
+ * @route DELETE /api/bookings/listings/:listingId/calendar/blocks/:blockId
+ * @desc Unblock a manually blocked range
+ * @access Private (host)
+ */
+router.delete('/listings/:listingId/calendar/blocks/:blockId', bookingController.removeBlockedDates);
+
+/**
+ * @route POST /api/bookings/listings/:listingId/calendar/import
+ * @desc Import blocked dates from an iCal URL or text
+ * @access Private (host)
+ */
+router.post('/listings/:listingId/calendar/import', importLimiter, bookingController.importIcal);
+
+/**
+ * @route GET /api/bookings
+ * @desc Bookings of the current user (?as=guest|host)
+ * @access Private
+ */
+router.get('/', bookingController.getMyBookings);
+
+/**
+ * @route POST /api/bookings
+ * @desc Request a stay on a daily rental
+ * @access Private (guest)
+ */
+router.post('/', bookingController.createBooking);
+
+/**
+ * @route GET /api/bookings/:id
+ * @desc Get a booking
+ * @access Private (participants)
+ */
+router.get('/:id', bookingController.getBooking);
+
+/**
+ * @route POST /api/bookings/:id/confirm
+ * @desc Accept a pending booking
+ * @access Private (host)
+ */
+router.post('/:id/confirm', bookingController.confirmBooking);
+
+/**
+ * @route POST /api/bookings/:id/decline
+ * @desc Refuse a pending booking
+ * @access Private (host)
+ */
+router.post('/:id/decline', bookingController.declineBooking);
+
+/**
+ * @route POST /api/bookings/:id/cancel
+ * @desc Cancel a booking
+ * @access Private (participants)
+ */
+router.post('/:id/cancel', bookingController.cancelBooking);
+
+module.exports = router;
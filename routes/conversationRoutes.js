@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const conversationController = require('../controllers/conversationController');
+const { authenticate } = require('../middleware/auth');
+
+// Rate limiter for sending messages, to slow down spam
+const sendMessageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 messages per windowMs
+  message: {
+    success: false,
+    message: 'Too many messages, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(authenticate);
+
+/**
+ * @route POST /api/conversations
+ * @desc Start an inquiry on a listing (or add to the existing thread)
+ * @access Private
+ */
+router.post('/', sendMessageLimiter, conversationController.startConversation);
+
+/**
+ * @route GET /api/conversations
+ * @desc List the current user's threads (?as=seeker|lister, ?listingId=)
+ * @access Private
+ */
+router.get('/', conversationController.getConversations);
+
+/**
+ * @route GET /api/conversations/unread-count
+ * @desc Total unread messages for the current user
+ * @access Private
+ */
+router.get('/unread-count', conversationController.getUnreadCount);
+
+/**
+ * @route GET /api/conversations/:id/messages
+ * @desc Get messages of a thread, newest first (?before= for older ones)
+ * @access Private (participants)
+ */
+router.get('/:id/messages', conversationController.getMessages);
+
+/**
+ * @route POST /api/conversations/:id/messages
+ * @desc Reply in a thread
+ * @access Private (participants)
+ */
+router.post('/:id/messages', sendMessageLimiter, conversationController.sendMessage);
+
+/**
+ * @route PATCH /api/conversations/:id/read
+ * @desc Mark the other participant's messages as read
+ * @access Private (participants)
+ */
+router.patch('/:id/read', conversationController.markAsRead);
+
+module.exports = router;
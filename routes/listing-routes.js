@@ -1,13 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
 const listingController = require('../controllers/listing-controller');
-const locationData = require('../utils/locationData');
-const villesData = require('../utils/villesData');
+const listingImportController = require('../controllers/listingImportController');
+const { exportMyListings } = require('../controllers/listingExportController');
+const { reportListing } = require('../controllers/listingReportController');
 const multer = require('multer');
 const { upload, s3 } = require('../config/s3');
 const Listing = require('../models/Listing');
 const Payment = require('../models/paymentSchema');
+const Ville = require('../models/Ville');
+const { getLocationTree } = require('../services/locationService');
+const { manageableListingFilter, canManageListing } = require('../services/agencyService');
+const { isHeldForModeration, isApproved, submitForReview } = require('../services/moderationService');
+const { getClientIp } = require('../services/analyticsService');
+
+// Rate limiter for contact-click tracking
+const trackEventLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit each IP to 60 tracking calls per windowMs
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for listing reports, per user or per IP for visitors
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  keyGenerator: (req) => (req.user ? `user:${req.user._id}` : getClientIp(req)),
+  message: {
+    success: false,
+    message: 'Too many reports, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 /**
  * Middleware to handle multer errors
@@ -77,10 +109,21 @@ const processListingData = (req, res, next) => {
 // Get all published listings with filters
 router.get('/', listingController.getAllListings);
 
-// Get location data
-router.get('/locations/villes', (req, res) => {
+// Get result counts per filter option (same filters as the list)
+router.get('/facets', listingController.getListingFacets);
+
+// Get map clusters for a bounding box and zoom level (same filters as the list)
+router.get('/clusters', listingController.getListingClusters);
+
+// Get location data (legacy shape of utils/villesData.js, now read from the location collections)
+router.get('/locations/villes', async (req, res) => {
   try {
-    return res.status(200).json(villesData);
+    const villes = await Ville.find({}).sort({ name: 1 }).select('name code isActive');
+    return res.status(200).json(villes.map(ville => ({
+      nom: ville.name,
+      code: ville.code,
+      isActive: ville.isActive
+    })));
   } catch (err) {
     console.error('Error retrieving cities data:', err);
     return res.status(500).json({
@@ -90,11 +133,11 @@ router.get('/locations/villes', (req, res) => {
   }
 });
 
-// Get city-specific location data
-router.get('/locations/:cityName', (req, res) => {
+// Get city-specific location data (legacy shape of utils/locationData.js)
+router.get('/locations/:cityName', async (req, res) => {
   try {
     const { cityName } = req.params;
-    const cityData = locationData[cityName];
+    const cityData = (await getLocationTree())[cityName];
     
     if (!cityData) {
       return res.status(404).json({
@@ -123,8 +166,20 @@ const handleS3Error = (req, res, next) => {
   next();
 };
 
-// Get single listing
-router.get('/:id', listingController.getListing);
+// CSV template for bulk imports (declared before /:id)
+router.get('/import/template', authenticate, listingImportController.getImportTemplate);
+
+// Get single listing (records a view)
+router.get('/:id', optionalAuthenticate, listingController.getListing);
+
+// Similar active listings, excluding the viewer's own
+router.get('/:id/similar', optionalAuthenticate, listingController.getSimilarListings);
+
+// Report a scam or stale listing (users and visitors)
+router.post('/:id/report', optionalAuthenticate, reportLimiter, reportListing);
+
+// Track contact interactions (phone revealed, WhatsApp clicked)
+router.post('/:id/track', trackEventLimiter, optionalAuthenticate, listingController.trackListingEvent);
 
 // =================== AUTHENTICATED ROUTES ===================
 router.use(authenticate); // All routes after this require authentication
@@ -132,6 +187,24 @@ router.use(authenticate); // All routes after this require authentication
 // Get current user's listings
 router.get('/user/current', listingController.getMyListings);
 
+// Export current user's listings as CSV or NDJSON
+router.get('/user/current/export', exportMyListings);
+
+// Bulk import from a CSV/XLSX sheet and a ZIP of images (agency members)
+router.post(
+  '/import',
+  listingImportController.importUpload,
+  handleMulterError,
+  listingImportController.importListings
+);
+
+// Views and contact-click statistics (owner only)
+router.get('/:id/stats', listingController.getListingStats);
+
+// Favorite / unfavorite a listing
+router.post('/:id/favorite', listingController.addFavorite);
+router.delete('/:id/favorite', listingController.removeFavorite);
+
 // Create new listing - using AWS S3 upload
 router.post(
   '/add',
@@ -203,13 +276,21 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
     
-    if (listing.createdBy.toString() !== req.user._id.toString()) {
+    if (!(await canManageListing(listing, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized: You can only update your own listings'
       });
     }
     
+    // Listings awaiting or refused by moderation cannot be published by their owner
+    if (!isDeleted && listing.isDeleted && isHeldForModeration(listing)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This listing must be approved by a moderator before it can be published'
+      });
+    }
+
     listing.isDeleted = isDeleted;
     await listing.save();
     
@@ -230,6 +311,9 @@ router.patch('/:id/status', async (req, res) => {
 // Alternative status toggle endpoint
 router.patch('/:id/toggle-status', listingController.togglePublishStatus);
 
+// Send a rejected listing back to moderation after fixing it
+router.post('/:id/resubmit', listingController.resubmitListing);
+
 // Delete listing permanently
 router.delete('/:id', listingController.deleteListing);
 
@@ -258,9 +342,10 @@ router.post(
       }
 
       // Find and validate the listing
+      const ownership = await manageableListingFilter(req.user._id);
       const listing = await Listing.findOne({
         _id: id,
-        createdBy: req.user._id
+        ...ownership
       });
 
       if (!listing) {
@@ -276,7 +361,8 @@ router.post(
           { transactionId: paymentId },
           { externalId: paymentId }
         ],
-        listingId: id
+        listingId: id,
+        purpose: { $ne: 'booking_deposit' }
       });
 
       if (!payment) {
@@ -289,25 +375,26 @@ router.post(
       // Get plan duration from payment
       const planDuration = payment.duration || 3; // Default to 3 months if not found
 
-      // Calculate expiry date based on plan duration
-      const currentDate = new Date();
-      const expiryDate = new Date(currentDate);
-      expiryDate.setMonth(currentDate.getMonth() + planDuration);
+      const approved = isApproved(listing);
 
       // Update the listing
-      listing.status = 'available';
-      listing.isDeleted = false;
-      listing.expiryDate = expiryDate;
       listing.paymentId = paymentId;
       listing.paymentStatus = 'paid';
       listing.subscriptionPlan = payment.planId;
-      listing.subscriptionStartDate = currentDate;
+      listing.subscriptionMonths = planDuration;
+
+      // New listings wait for moderation before going live
+      if (approved) {
+        listing.activateSubscription(planDuration);
+      } else if (!isHeldForModeration(listing)) {
+        submitForReview(listing);
+      }
 
       await listing.save();
 
       return res.json({
         success: true,
-        message: 'Listing activated successfully',
+        message: approved ? 'Listing activated successfully' : 'Listing submitted for review',
         listing
       });
 
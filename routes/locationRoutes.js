@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getVilles, getVilleTree, searchLocations } = require('../controllers/locationController');
+
+// Public location hierarchy (admin management lives under /api/admin/locations)
+router.get('/search', searchLocations);
+router.get('/villes', getVilles);
+router.get('/villes/:slug', getVilleTree);
+
+module.exports = router;
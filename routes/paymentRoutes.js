@@ -27,6 +27,7 @@ router.post('/initialize', authenticate, paymentController.initializePayment);
 router.post('/initialize-mobile', authenticate, paymentController.initializeMobileMoneyPayment);
 router.post('/initialize-card', authenticate, paymentController.initializeCardPayment);
 router.post('/initialize-card-v3', authenticate, paymentController.initializeCardPaymentV3); // Added V3 endpoint
+router.post('/initialize-booking-deposit', authenticate, paymentController.initializeBookingDepositPayment);
 
 // Payment status routes
 router.get('/status/:transactionId', authenticate, paymentController.checkPaymentStatus);
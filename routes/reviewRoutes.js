@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const reviewController = require('../controllers/reviewController');
+const { authenticate } = require('../middleware/auth');
+
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: {
+    success: false,
+    message: 'Too many reports, please try again later'
+  }
+});
+
+/**
+ * @route GET /api/reviews/listers/:listerId
+ * @desc Published reviews and rating summary of a lister
+ * @access Public
+ */
+router.get('/listers/:listerId', reviewController.getListerReviews);
+
+router.use(authenticate);
+
+/**
+ * @route GET /api/reviews/listers/:listerId/eligibility
+ * @desc Whether the current user can review a lister, with their existing review
+ * @access Private
+ */
+router.get('/listers/:listerId/eligibility', reviewController.getReviewEligibility);
+
+/**
+ * @route POST /api/reviews
+ * @desc Rate a lister (1-5) or update your review
+ * @access Private (after a confirmed visit, booking or answered conversation)
+ */
+router.post('/', reviewController.createReview);
+
+/**
+ * @route DELETE /api/reviews/:id
+ * @desc Delete your review
+ * @access Private (author)
+ */
+router.delete('/:id', reviewController.deleteReview);
+
+/**
+ * @route POST /api/reviews/:id/report
+ * @desc Report an abusive review
+ * @access Private
+ */
+router.post('/:id/report', reportLimiter, reviewController.reportReview);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const {
   loginUser,
   getCurrentUser,
   getUserProfile,
+  getPublicProfile,
   updateProfile,
   changePassword,
   requestPhoneVerification,
@@ -11,6 +12,14 @@ const {
   resetPassword,
   deleteUser
 } = require('../controllers/userController');
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { getMyFavorites } = require('../controllers/listing-controller');
 const { authenticate, roleCheck } = require('../middleware/auth');
 
 const router = express.Router();
@@ -23,6 +32,9 @@ router.post('/login', loginUser);
 router.post('/request-password-reset', requestPasswordReset);
 router.post('/reset-password', resetPassword);
 
+// Public lister profile with rating summary
+router.get('/:id/public-profile', getPublicProfile);
+
 // Protected Routes
 router.get('/me', authenticate, getCurrentUser);
 router.get('/profile', authenticate, getUserProfile);
@@ -30,6 +42,16 @@ router.put('/profile', authenticate, updateProfile);
 router.put('/change-password', authenticate, changePassword);
 router.post('/request-phone-verification', authenticate, requestPhoneVerification);
 
+// Favorites
+router.get('/me/favorites', authenticate, getMyFavorites);
+
+// Saved Searches (alerts for new matching listings)
+router.get('/me/saved-searches', authenticate, getSavedSearches);
+router.post('/me/saved-searches', authenticate, createSavedSearch);
+router.get('/me/saved-searches/:id', authenticate, getSavedSearch);
+router.put('/me/saved-searches/:id', authenticate, updateSavedSearch);
+router.delete('/me/saved-searches/:id', authenticate, deleteSavedSearch);
+
 // Admin Routes
 router.delete('/delete/:id', authenticate, roleCheck('admin'), deleteUser);
 
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const visitController = require('../controllers/visitController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route GET /api/visits/listing/:listingId/slots
+ * @desc Open upcoming visit slots of a listing
+ * @access Public
+ */
+router.get('/listing/:listingId/slots', visitController.getListingSlots);
+
+router.use(authenticate);
+
+/**
+ * @route GET /api/visits/upcoming
+ * @desc Upcoming visits of the current user (?as=seeker|lister)
+ * @access Private
+ */
+router.get('/upcoming', visitController.getUpcomingVisits);
+
+/**
+ * @route POST /api/visits/slots
+ * @desc Publish visit slots on one of your listings
+ * @access Private (lister)
+ */
+router.post('/slots', visitController.createSlots);
+
+/**
+ * @route DELETE /api/visits/slots/:id
+ * @desc Remove an open slot
+ * @access Private (lister)
+ */
+router.delete('/slots/:id', visitController.deleteSlot);
+
+/**
+ * @route POST /api/visits/:id/request
+ * @desc Request an open slot
+ * @access Private (seeker)
+ */
+router.post('/:id/request', visitController.requestVisit);
+
+/**
+ * @route POST /api/visits/:id/confirm
+ * @desc Confirm a requested visit
+ * @access Private (lister)
+ */
+router.post('/:id/confirm', visitController.confirmVisit);
+
+/**
+ * @route POST /api/visits/:id/cancel
+ * @desc Cancel a visit (seeker or lister; lister can pass reopen=true to decline and keep the slot)
+ * @access Private (participants)
+ */
+router.post('/:id/cancel', visitController.cancelVisit);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// services/agencyService.js - Agency membership and listing permissions
+const Agency = require('../models/Agency');
+
+// Public branding shown on listings
+const AGENCY_BRANDING_FIELDS = 'name slug logo phoneNumber website';
+
+// Active agency the user belongs to, if any
+const findUserAgency = (userId) => Agency.findOne({ 'members.userId': userId, isActive: true });
+
+// Ids of the active agencies the user owns
+const getOwnedAgencyIds = async (userId) => {
+  const agencies = await Agency.find({
+    members: { $elemMatch: { userId, role: 'owner' } },
+    isActive: true
+  }).select('_id');
+  return agencies.map(agency => agency._id);
+};
+
+/**
+ * Query condition matching the listings a user may manage:
+ * their own and, for agency owners, every listing of their agency.
+ */
+const manageableListingFilter = async (userId) => {
+  const agencyIds = await getOwnedAgencyIds(userId);
+  if (agencyIds.length === 0) return { createdBy: userId };
+  return { $or: [{ createdBy: userId }, { agencyId: { $in: agencyIds } }] };
+};
+
+// Whether a user may edit or delete a listing (admin, author or owner of its agency)
+const canManageListing = async (listing, user) => {
+  if (user.role === 'admin') return true;
+
+  const authorId = listing.createdBy?._id || listing.createdBy;
+  if (authorId && authorId.toString() === user._id.toString()) return true;
+  if (!listing.agencyId) return false;
+
+  const agencyId = listing.agencyId._id || listing.agencyId;
+  const owned = await Agency.exists({
+    _id: agencyId,
+    members: { $elemMatch: { userId: user._id, role: 'owner' } },
+    isActive: true
+  });
+  return !!owned;
+};
+
+module.exports = {
+  AGENCY_BRANDING_FIELDS,
+  findUserAgency,
+  getOwnedAgencyIds,
+  manageableListingFilter,
+  canManageListing
+};
@@ -0,0 +1,152 @@
+// services/analyticsService.js - Listing view and contact-click tracking
+const crypto = require('crypto');
+const ListingEvent = require('../models/ListingEvent');
+const ListingStat = require('../models/ListingStat');
+
+const DEDUP_WINDOW_MS = 30 * 60 * 1000; // A visitor is counted once per 30 minutes
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EVENT_COUNTERS = {
+  view: 'views',
+  phone_reveal: 'phoneReveals',
+  whatsapp_click: 'whatsappClicks'
+};
+
+// Client address as resolved by Express from the trusted proxies ('trust proxy' setting),
+// so a spoofed X-Forwarded-For header cannot change it
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+// Identify a visitor without storing raw IP addresses
+const getVisitorKey = (req) => {
+  if (req.user?._id) return `user:${req.user._id}`;
+
+  const fingerprint = `${getClientIp(req)}|${req.headers['user-agent'] || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 32)}`;
+};
+
+const startOfUTCDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+/**
+ * Record a listing event and bump the daily counter, once per visitor per window.
+ * Returns true when the event was counted.
+ */
+const recordListingEvent = async (listingId, type, req) => {
+  const counter = EVENT_COUNTERS[type];
+  if (!counter) throw new Error(`Unknown listing event: ${type}`);
+
+  const now = new Date();
+  const windowStart = new Date(Math.floor(now.getTime() / DEDUP_WINDOW_MS) * DEDUP_WINDOW_MS);
+
+  try {
+    await ListingEvent.create({
+      listingId,
+      type,
+      visitorKey: getVisitorKey(req),
+      windowStart
+    });
+  } catch (error) {
+    // Duplicate key: already counted in this window
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await ListingStat.updateOne(
+    { listingId, date: startOfUTCDay(now) },
+    { $inc: { [counter]: 1 } },
+    { upsert: true }
+  );
+
+  return true;
+};
+
+/**
+ * Daily series (zero-filled) and totals for a listing between two dates, inclusive.
+ */
+const getListingStats = async (listingId, from, to) => {
+  const fromDay = startOfUTCDay(from);
+  const toDay = startOfUTCDay(to);
+
+  const [stats, lifetime] = await Promise.all([
+    ListingStat.find({ listingId, date: { $gte: fromDay, $lte: toDay } }).sort({ date: 1 }),
+    ListingStat.aggregate([
+      { $match: { listingId } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: '$views' },
+          phoneReveals: { $sum: '$phoneReveals' },
+          whatsappClicks: { $sum: '$whatsappClicks' }
+        }
+      }
+    ])
+  ]);
+
+  const byDay = stats.reduce((map, stat) => {
+    map[stat.date.getTime()] = stat;
+    return map;
+  }, {});
+
+  const daily = [];
+  const totals = { views: 0, phoneReveals: 0, whatsappClicks: 0 };
+
+  for (let time = fromDay.getTime(); time <= toDay.getTime(); time += DAY_MS) {
+    const stat = byDay[time];
+    const day = {
+      date: new Date(time).toISOString().substring(0, 10),
+      views: stat?.views || 0,
+      phoneReveals: stat?.phoneReveals || 0,
+      whatsappClicks: stat?.whatsappClicks || 0
+    };
+
+    totals.views += day.views;
+    totals.phoneReveals += day.phoneReveals;
+    totals.whatsappClicks += day.whatsappClicks;
+    daily.push(day);
+  }
+
+  const lifetimeTotals = lifetime[0]
+    ? {
+      views: lifetime[0].views,
+      phoneReveals: lifetime[0].phoneReveals,
+      whatsappClicks: lifetime[0].whatsappClicks
+    }
+    : { views: 0, phoneReveals: 0, whatsappClicks: 0 };
+
+  return { daily, totals, lifetimeTotals };
+};
+
+/**
+ * Lifetime totals for several listings at once, keyed by listing id.
+ * Listings without any event are absent from the result.
+ */
+const getLifetimeTotalsByListing = async (listingIds) => {
+  const results = await ListingStat.aggregate([
+    { $match: { listingId: { $in: listingIds } } },
+    {
+      $group: {
+        _id: '$listingId',
+        views: { $sum: '$views' },
+        phoneReveals: { $sum: '$phoneReveals' },
+        whatsappClicks: { $sum: '$whatsappClicks' }
+      }
+    }
+  ]);
+
+  return results.reduce((map, result) => {
+    map[result._id.toString()] = {
+      views: result.views,
+      phoneReveals: result.phoneReveals,
+      whatsappClicks: result.whatsappClicks
+    };
+    return map;
+  }, {});
+};
+
+module.exports = {
+  EVENT_TYPES: Object.keys(EVENT_COUNTERS),
+  getClientIp,
+  getVisitorKey,
+  recordListingEvent,
+  getListingStats,
+  getLifetimeTotalsByListing
+};
@@ -0,0 +1,114 @@
+// services/bookingService.js - Booking notifications and deposit lifecycle
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { sendNotification, getFrontendUrl } = require('./notificationService');
+const { formatDay } = require('./calendarService');
+
+// Share of the total paid upfront to hold the dates (0 disables deposits)
+const DEPOSIT_PERCENT = Number(process.env.BOOKING_DEPOSIT_PERCENT ?? 30);
+// Time the guest has to complete the deposit payment
+const DEPOSIT_HOLD_MINUTES = Number(process.env.BOOKING_DEPOSIT_HOLD_MINUTES || 30);
+
+const computeDeposit = (totalPrice) => Math.round(totalPrice * DEPOSIT_PERCENT) / 100;
+
+// Notify a user about a booking change in the background
+const notifyUser = async (userId, message) => {
+  try {
+    const user = await User.findById(userId).select('phoneNumber');
+    const result = await sendNotification(user?.phoneNumber, message);
+    if (!result.success) {
+      logger.warn('Booking notification not delivered', { userId, error: result.error });
+    }
+  } catch (error) {
+    logger.error('Error sending booking notification', { userId, error: error.message });
+  }
+};
+
+const bookingMessage = (title, booking, listing, extra = '') => `🏠 *${title}*
+
+« ${listing.title} »
+Du ${formatDay(booking.checkIn)} au ${formatDay(booking.checkOut)} (${booking.nights.length} nuit(s))
+Total : ${booking.totalPrice} ${booking.currency}${extra}
+
+${getFrontendUrl('/dashboard/bookings')}`;
+
+/**
+ * Apply a successful deposit payment: the booking goes to the host for acceptance.
+ * A deposit paid after the hold was released is flagged for refund.
+ */
+const confirmDeposit = async (payment) => {
+  const booking = await Booking.findById(payment.bookingId);
+  if (!booking) {
+    logger.error('Booking not found for deposit payment', { paymentId: payment._id, bookingId: payment.bookingId });
+    return null;
+  }
+
+  if (booking.deposit.status === 'paid' || booking.deposit.status === 'refund_due') {
+    return booking;
+  }
+
+  booking.deposit.paymentId = payment._id;
+  booking.deposit.paidAt = new Date();
+
+  if (booking.status !== 'awaiting_deposit') {
+    booking.deposit.status = 'refund_due';
+    await booking.save();
+    logger.warn('Deposit paid for a released booking, refund required', {
+      bookingId: booking._id,
+      paymentId: payment._id,
+      bookingStatus: booking.status
+    });
+    return booking;
+  }
+
+  booking.deposit.status = 'paid';
+  booking.status = 'pending';
+  booking.holdExpiresAt = null;
+  await booking.save();
+
+  const listing = await Listing.findById(booking.listingId).select('title');
+  notifyUser(booking.hostId, bookingMessage(
+    'Nouvelle demande de réservation',
+    booking,
+    listing || { title: '' },
+    `\nAcompte payé : ${booking.deposit.amount} ${booking.currency}\nConfirmez la réservation depuis votre espace Ndaku.`
+  ));
+
+  logger.info('Booking deposit paid', { bookingId: booking._id, paymentId: payment._id });
+  return booking;
+};
+
+// Apply a failed deposit payment: the dates are released
+const failDeposit = async (payment) => {
+  const booking = await Booking.findById(payment.bookingId);
+  // Ignore an older attempt when the guest has retried with a new payment
+  if (!booking || booking.status !== 'awaiting_deposit' || !payment._id.equals(booking.deposit.paymentId)) {
+    return booking;
+  }
+
+  booking.deposit.status = 'failed';
+  await booking.release('cancelled', 'system');
+
+  const listing = await Listing.findById(booking.listingId).select('title');
+  notifyUser(booking.guestId, bookingMessage(
+    'Paiement de l\'acompte échoué',
+    booking,
+    listing || { title: '' },
+    '\nLes dates ont été libérées. Vous pouvez refaire une demande.'
+  ));
+
+  logger.info('Booking released after failed deposit', { bookingId: booking._id, paymentId: payment._id });
+  return booking;
+};
+
+module.exports = {
+  DEPOSIT_PERCENT,
+  DEPOSIT_HOLD_MINUTES,
+  computeDeposit,
+  notifyUser,
+  bookingMessage,
+  confirmDeposit,
+  failDeposit
+};
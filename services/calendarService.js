@@ -0,0 +1,227 @@
+// services/calendarService.js - Availability rules and iCal sync for daily rentals
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Booking = require('../models/Booking');
+const logger = require('../config/logger');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMPORT_TIMEOUT_MS = 10000;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Addresses calendar imports must never reach: private networks, loopback,
+// link-local (cloud metadata), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const WEEKDAYS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+// Parse a day ("2025-07-01" or any date string) to UTC midnight; null when invalid
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const formatDay = (date) => date.toISOString().substring(0, 10);
+
+const today = () => parseDay(new Date());
+
+const countNights = (checkIn, checkOut) => Math.round((checkOut - checkIn) / DAY_MS);
+
+// Every night of a stay, check-out day excluded
+const listNights = (checkIn, checkOut) => {
+  const nights = [];
+  for (let time = checkIn.getTime(); time < checkOut.getTime(); time += DAY_MS) {
+    nights.push(new Date(time));
+  }
+  return nights;
+};
+
+/**
+ * Check a stay against the calendar rules of the listing.
+ * Returns an error message, or null when the dates are allowed.
+ */
+const checkStayRules = (calendar, checkIn, checkOut) => {
+  const nights = countNights(checkIn, checkOut);
+
+  if (checkIn < today()) {
+    return 'Check-in date cannot be in the past';
+  }
+  if (nights < 1) {
+    return 'Check-out must be after check-in';
+  }
+  if (nights < calendar.minNights) {
+    return `Minimum stay is ${calendar.minNights} night(s)`;
+  }
+  if (nights > calendar.maxNights) {
+    return `Maximum stay is ${calendar.maxNights} night(s)`;
+  }
+  if (calendar.checkInDays.length > 0 && !calendar.checkInDays.includes(checkIn.getUTCDay())) {
+    return `Check-in is only possible on: ${calendar.checkInDays.map(day => WEEKDAYS[day]).join(', ')}`;
+  }
+  if (calendar.checkOutDays.length > 0 && !calendar.checkOutDays.includes(checkOut.getUTCDay())) {
+    return `Check-out is only possible on: ${calendar.checkOutDays.map(day => WEEKDAYS[day]).join(', ')}`;
+  }
+  if (calendar.findBlockedOverlap(checkIn, checkOut)) {
+    return 'These dates are not available';
+  }
+  return null;
+};
+
+// Bookings of a listing that hold dates overlapping [start, end)
+const findHeldBookings = (listingId, start, end) => Booking.find({
+  listingId,
+  holdsDates: true,
+  checkIn: { $lt: end },
+  checkOut: { $gt: start }
+}).sort({ checkIn: 1 });
+
+/**
+ * Unavailable ranges of a listing between two days, without guest details.
+ */
+const getUnavailableRanges = async (calendar, start, end) => {
+  const bookings = await findHeldBookings(calendar.listingId, start, end).select('checkIn checkOut');
+
+  const ranges = [
+    ...bookings.map(booking => ({ start: booking.checkIn, end: booking.checkOut, type: 'booked' })),
+    ...calendar.blockedDates
+      .filter(block => block.start < end && block.end > start)
+      .map(block => ({ start: block.start, end: block.end, type: 'blocked' }))
+  ];
+
+  return ranges
+    .sort((a, b) => a.start - b.start)
+    .map(range => ({ start: formatDay(range.start), end: formatDay(range.end), type: range.type }));
+};
+
+/**
+ * iCal feed of a listing: active bookings and manual blocks.
+ * Imported blocks are left out so two platforms syncing each other do not loop.
+ */
+const exportCalendar = async (listing, calendar) => {
+  const bookings = await Booking.find({
+    listingId: listing._id,
+    holdsDates: true,
+    checkOut: { $gt: today() }
+  }).select('checkIn checkOut status');
+
+  const events = [
+    ...bookings.map(booking => ({
+      uid: `booking-${booking._id}@ndaku`,
+      start: booking.checkIn,
+      end: booking.checkOut,
+      summary: booking.status === 'confirmed' ? 'Réservé (Ndaku)' : 'En attente (Ndaku)'
+    })),
+    ...calendar.blockedDates
+      .filter(block => block.source === 'manual')
+      .map(block => ({
+        uid: `block-${block._id}@ndaku`,
+        start: block.start,
+        end: block.end,
+        summary: 'Indisponible'
+      }))
+  ];
+
+  return buildCalendar({ name: `Ndaku - ${listing.title}`, events });
+};
+
+/**
+ * Replace the imported blocks of a calendar with the events of an iCal text.
+ * Past events are dropped. Returns the number of imported blocks.
+ */
+const applyImportedEvents = async (calendar, icsText) => {
+  const now = today();
+  const events = parseCalendar(icsText).filter(event => event.end > now);
+
+  calendar.blockedDates = [
+    ...calendar.blockedDates.filter(block => block.source !== 'ical'),
+    ...events.map(event => ({
+      start: event.start,
+      end: event.end,
+      reason: event.summary || 'Réservé ailleurs',
+      source: 'ical',
+      externalUid: event.uid
+    }))
+  ];
+  calendar.lastImportedAt = new Date();
+  await calendar.save();
+
+  return events.length;
+};
+
+const isPublicAddress = (address) => {
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !!family && !BLOCKED_ADDRESSES.check(address, family);
+};
+
+// DNS lookup refusing hosts that resolve to non-public addresses, run on every connection
+// so a host cannot switch to an internal address after being checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new Error(`Calendar host ${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const importAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Download the calendar at the import URL and apply it. Only public hosts are fetched,
+// without following redirects.
+const importFromUrl = async (calendar) => {
+  const host = new URL(calendar.icalImportUrl).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`Calendar host ${host} is not a public address`);
+  }
+
+  const response = await axios.get(calendar.icalImportUrl, {
+    timeout: IMPORT_TIMEOUT_MS,
+    maxContentLength: MAX_IMPORT_BYTES,
+    maxRedirects: 0,
+    proxy: false,
+    responseType: 'text',
+    ...importAgents
+  });
+
+  if (!String(response.data).includes('BEGIN:VCALENDAR')) {
+    throw new Error('The URL did not return an iCal calendar');
+  }
+
+  const count = await applyImportedEvents(calendar, response.data);
+  logger.info(`Imported ${count} blocked range(s) for listing ${calendar.listingId}`);
+  return count;
+};
+
+module.exports = {
+  DAY_MS,
+  parseDay,
+  formatDay,
+  today,
+  countNights,
+  listNights,
+  checkStayRules,
+  findHeldBookings,
+  getUnavailableRanges,
+  exportCalendar,
+  applyImportedEvents,
+  importFromUrl
+};
@@ -0,0 +1,269 @@
+// services/duplicateDetectionService.js - Spot listings re-posted with small changes
+const fs = require('fs');
+const sharp = require('sharp');
+const Listing = require('../models/Listing');
+const ListingDuplicate = require('../models/ListingDuplicate');
+const logger = require('../config/logger');
+const { s3 } = require('../config/s3');
+const { normalizeText } = require('./searchService');
+const { getUsdToCdfRate, toBothCurrencies } = require('./exchangeRateService');
+
+const HASH_SIZE = 8; // 8x8 comparisons, a 64-bit hash
+const MAX_HASHED_IMAGES = 10;
+// Photos a few bits apart are the same picture, resized, recompressed or slightly cropped
+const SIMILAR_IMAGE_DISTANCE = 6;
+const CANDIDATE_LIMIT = 200;
+
+// Points of each criterion; an exact duplicate matches them all and scores 100
+const WEIGHTS = {
+  address: 30,
+  details: 15,
+  price: 15,
+  images: 40
+};
+const PROBABLE_DUPLICATE_SCORE = 60;
+
+// Reject exact duplicates instead of only flagging them
+const BLOCK_EXACT_DUPLICATES = process.env.BLOCK_EXACT_DUPLICATES === 'true';
+
+const PRICE_FIELDS = { rent: 'priceMonthly', daily: 'priceDaily', sale: 'priceSale' };
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const sameNumber = (a, b) => (isBlank(a) || isBlank(b) ? isBlank(a) && isBlank(b) : Number(a) === Number(b));
+
+// Words that vary between two writings of the same address
+const ADDRESS_NOISE = new Set([
+  'av', 'ave', 'avenue', 'rue', 'bd', 'boulevard', 'blvd', 'n', 'no', 'num', 'numero',
+  'ref', 'reference', 'c', 'croisement', 'de', 'du', 'des', 'la', 'le', 'les', 'et'
+]);
+
+// "Av. Kabambare n°12" and "12, avenue Kabambare" give the same key: "12 kabambare"
+const addressKey = (address) => [...new Set(
+  normalizeText(address || '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !ADDRESS_NOISE.has(word))
+)].sort().join(' ');
+
+/**
+ * Difference hash of an image: one bit per pixel of an 9x8 greyscale thumbnail, set when
+ * the pixel is brighter than its right neighbour. Returned as 16 hex characters.
+ */
+const differenceHash = async (input) => {
+  const pixels = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < HASH_SIZE; row++) {
+    for (let col = 0; col < HASH_SIZE; col++) {
+      const index = row * (HASH_SIZE + 1) + col;
+      hash = (hash << 1n) | (pixels[index] > pixels[index + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+};
+
+// Number of differing bits between two hashes
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Bytes of an uploaded file, whether kept in memory, on disk or already sent to S3
+const readUploadedFile = async (file) => {
+  if (file.buffer) return file.buffer;
+  if (file.path) return fs.promises.readFile(file.path);
+  if (file.key && file.bucket) {
+    const object = await s3.getObject({ Bucket: file.bucket, Key: file.key }).promise();
+    return object.Body;
+  }
+  return null;
+};
+
+/**
+ * Perceptual hashes of uploaded images. Images that cannot be read are skipped, so a
+ * hashing problem never prevents publishing.
+ */
+const hashUploadedImages = async (files = []) => {
+  const hashes = [];
+
+  for (const file of files.slice(0, MAX_HASHED_IMAGES)) {
+    try {
+      const content = await readUploadedFile(file);
+      if (content) hashes.push(await differenceHash(content));
+    } catch (error) {
+      logger.warn('Could not hash listing image', { file: file.originalname, error: error.message });
+    }
+  }
+
+  return hashes;
+};
+
+// Signature stored on the listing and compared with later listings
+const buildDuplicateSignature = (listingData, imageHashes) => ({
+  addressKey: addressKey(listingData.address),
+  imageHashes
+});
+
+const priceUSDOf = (listingData, rate) => {
+  const prices = toBothCurrencies(parseFloat(listingData[PRICE_FIELDS[listingData.listingType]]), listingData.currency || 'USD', rate);
+  return prices ? prices.usd : null;
+};
+
+// Similarity of a candidate to the new listing, with the criteria that matched
+const compareListings = (listingData, signature, priceUSD, candidate) => {
+  const reasons = [];
+  let score = 0;
+  let isExact = true;
+
+  const candidateKey = candidate.duplicateSignature?.addressKey || addressKey(candidate.address);
+  if (signature.addressKey && candidateKey === signature.addressKey) {
+    score += WEIGHTS.address;
+    reasons.push('address');
+  } else {
+    isExact = false;
+  }
+
+  const details = listingData.details || {};
+  const candidateDetails = candidate.details || {};
+  if (candidate.typeOfListing === listingData.typeOfListing &&
+      sameNumber(details.bedroom, candidateDetails.bedroom) &&
+      sameNumber(details.bathroom, candidateDetails.bathroom)) {
+    score += WEIGHTS.details;
+    reasons.push('details');
+  } else {
+    isExact = false;
+  }
+
+  if (priceUSD > 0 && candidate.priceUSD > 0) {
+    const gap = Math.abs(candidate.priceUSD - priceUSD) / priceUSD;
+    if (gap <= 0.15) {
+      score += gap <= 0.05 ? WEIGHTS.price : WEIGHTS.price / 2;
+      reasons.push('price');
+    }
+    if (gap > 0.005) isExact = false;
+  } else {
+    isExact = false;
+  }
+
+  // Share of the new photos that also appear on the candidate, worth at most its weight
+  const candidateHashes = candidate.duplicateSignature?.imageHashes || [];
+  const matchedImages = signature.imageHashes.filter(hash =>
+    candidateHashes.some(other => hammingDistance(hash, other) <= SIMILAR_IMAGE_DISTANCE)
+  ).length;
+  if (matchedImages > 0) {
+    score += Math.min(WEIGHTS.images, WEIGHTS.images * matchedImages / signature.imageHashes.length);
+    reasons.push('images');
+  }
+  if (signature.imageHashes.length === 0 || matchedImages < signature.imageHashes.length) {
+    isExact = false;
+  }
+
+  return { score: Math.round(score), reasons, isExact };
+};
+
+/**
+ * Earlier listings that the new listing probably duplicates, best matches first, as
+ * [{ listingId, ownerId, sameOwner, score, reasons, isExact }].
+ * Candidates are the listings of the same quartier and type, and any listing sharing a photo,
+ * including unpublished drafts and listings held for moderation so re-posts of them are caught.
+ */
+const findDuplicateListings = async (listingData, signature, { userId, excludeId } = {}) => {
+  const priceUSD = priceUSDOf(listingData, await getUsdToCdfRate());
+
+  const nearby = [{
+    commune: listingData.commune,
+    quartier: listingData.quartier,
+    listingType: listingData.listingType
+  }];
+  if (signature.imageHashes.length > 0) {
+    nearby.push({ 'duplicateSignature.imageHashes': { $in: signature.imageHashes } });
+  }
+
+  const filter = { $or: nearby };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const candidates = await Listing.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select('+duplicateSignature address typeOfListing details priceUSD createdBy')
+    .lean();
+
+  return candidates
+    .map(candidate => ({
+      listingId: candidate._id,
+      ownerId: candidate.createdBy,
+      sameOwner: Boolean(userId) && candidate.createdBy.toString() === userId.toString(),
+      ...compareListings(listingData, signature, priceUSD, candidate)
+    }))
+    .filter(match => match.score >= PROBABLE_DUPLICATE_SCORE)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Look for duplicates of a listing about to be created, given the hashes of its photos.
+ * Returns { signature, duplicates, blockedBy } where blockedBy is the exact duplicate
+ * that prevents publishing, when blocking is enabled.
+ */
+const checkForDuplicates = async (listingData, imageHashes, { userId } = {}) => {
+  const signature = buildDuplicateSignature(listingData, imageHashes);
+
+  let duplicates = [];
+  try {
+    duplicates = await findDuplicateListings(listingData, signature, { userId });
+  } catch (error) {
+    logger.error('Duplicate detection failed', { error: error.message });
+  }
+
+  const exact = duplicates.find(match => match.isExact);
+  return {
+    signature,
+    duplicates,
+    blockedBy: BLOCK_EXACT_DUPLICATES && exact ? exact : null
+  };
+};
+
+// Add the probable duplicates of a saved listing to the admin review queue
+const flagDuplicates = async (listing, duplicates) => {
+  if (duplicates.length === 0) return;
+
+  await ListingDuplicate.bulkWrite(duplicates.map(match => ({
+    updateOne: {
+      filter: { listingId: listing._id, duplicateOfId: match.listingId },
+      update: {
+        $setOnInsert: {
+          sameOwner: match.sameOwner,
+          score: match.score,
+          reasons: match.reasons,
+          isExact: match.isExact
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  logger.info('Listing flagged as probable duplicate', {
+    listingId: listing._id,
+    duplicateOf: duplicates.map(match => match.listingId)
+  });
+};
+
+module.exports = {
+  addressKey,
+  differenceHash,
+  hammingDistance,
+  hashUploadedImages,
+  buildDuplicateSignature,
+  findDuplicateListings,
+  checkForDuplicates,
+  flagDuplicates
+};
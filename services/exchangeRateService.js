@@ -0,0 +1,60 @@
+// services/exchangeRateService.js - USD/CDF exchange rate and price conversions
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Used until an admin publishes a rate
+const DEFAULT_USD_TO_CDF_RATE = parseFloat(process.env.USD_TO_CDF_RATE) || 2902.50;
+
+const CURRENCIES = ['USD', 'CDF'];
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedRate = null;
+let cachedAt = 0;
+
+/**
+ * Rate in effect now, as { rate, exchangeRateId }. exchangeRateId is null for the default rate.
+ * Cached for a minute; publishing a rate clears the cache of this process.
+ */
+const getCurrentExchangeRate = async () => {
+  if (cachedRate && Date.now() - cachedAt < CACHE_TTL_MS) return cachedRate;
+
+  const current = await ExchangeRate.findEffective();
+  cachedRate = current
+    ? { rate: current.rate, exchangeRateId: current._id }
+    : { rate: DEFAULT_USD_TO_CDF_RATE, exchangeRateId: null };
+  cachedAt = Date.now();
+  return cachedRate;
+};
+
+const getUsdToCdfRate = async () => (await getCurrentExchangeRate()).rate;
+
+const clearExchangeRateCache = () => {
+  cachedRate = null;
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const convertUSDtoCDF = (amountUSD, rate) => Math.round(amountUSD * rate);
+const convertCDFtoUSD = (amountCDF, rate) => roundCents(amountCDF / rate);
+
+/**
+ * An amount in both currencies. USD keeps cents; CDF is rounded to the franc.
+ * Returns null when the amount is missing.
+ */
+const toBothCurrencies = (amount, currency, rate) => {
+  if (amount === undefined || amount === null || isNaN(amount)) return null;
+
+  return currency === 'CDF'
+    ? { usd: convertCDFtoUSD(amount, rate), cdf: Math.round(amount) }
+    : { usd: roundCents(amount), cdf: convertUSDtoCDF(amount, rate) };
+};
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_USD_TO_CDF_RATE,
+  getCurrentExchangeRate,
+  getUsdToCdfRate,
+  clearExchangeRateCache,
+  convertUSDtoCDF,
+  convertCDFtoUSD,
+  toBothCurrencies
+};
@@ -0,0 +1,246 @@
+// services/listingExportService.js - Stream listings as CSV or NDJSON
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const Favorite = require('../models/Favorite');
+const { getLifetimeTotalsByListing } = require('./analyticsService');
+
+const FORMATS = ['csv', 'ndjson'];
+const BATCH_SIZE = 200;
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+// Exportable columns. `fields` are the listing fields to load; `stats` and `favorites`
+// mark columns computed per batch from other collections.
+const COLUMNS = {
+  id: { fields: ['_id'], value: listing => listing._id.toString() },
+  title: { fields: ['title'], value: listing => listing.title },
+  typeOfListing: { fields: ['typeOfListing'], value: listing => listing.typeOfListing },
+  listingType: { fields: ['listingType'], value: listing => listing.listingType },
+  priceMonthly: { fields: ['priceMonthly'], value: listing => listing.priceMonthly },
+  priceDaily: { fields: ['priceDaily'], value: listing => listing.priceDaily },
+  priceSale: { fields: ['priceSale'], value: listing => listing.priceSale },
+  priceUSD: { fields: ['priceUSD'], value: listing => listing.priceUSD },
+  priceCDF: { fields: ['priceCDF'], value: listing => listing.priceCDF },
+  currency: { fields: ['currency'], value: listing => listing.currency },
+  negotiable: { fields: ['negotiable'], value: listing => listing.negotiable },
+  address: { fields: ['address'], value: listing => listing.address },
+  quartier: { fields: ['quartier'], value: listing => listing.quartier },
+  commune: { fields: ['commune'], value: listing => listing.commune },
+  district: { fields: ['district'], value: listing => listing.district },
+  ville: { fields: ['ville'], value: listing => listing.ville },
+  status: { fields: ['status'], value: listing => listing.status },
+  published: { fields: ['isDeleted'], value: listing => !listing.isDeleted },
+  visibility: { fields: ['visibility'], value: listing => listing.visibility },
+  paymentStatus: { fields: ['paymentStatus'], value: listing => listing.paymentStatus },
+  subscriptionPlan: { fields: ['subscriptionPlan'], value: listing => listing.subscriptionPlan },
+  subscriptionStartDate: { fields: ['subscriptionStartDate'], value: listing => toIso(listing.subscriptionStartDate) },
+  expiryDate: { fields: ['expiryDate'], value: listing => toIso(listing.expiryDate) },
+  activeSubscription: { fields: ['activeSubscription'], value: listing => listing.activeSubscription },
+  views: { stats: true, value: (listing, extra) => extra.stats?.views || 0 },
+  phoneReveals: { stats: true, value: (listing, extra) => extra.stats?.phoneReveals || 0 },
+  whatsappClicks: { stats: true, value: (listing, extra) => extra.stats?.whatsappClicks || 0 },
+  favoriteCount: { favorites: true, value: (listing, extra) => extra.favoriteCount || 0 },
+  createdBy: { fields: ['createdBy'], value: listing => listing.createdBy?.toString() },
+  agencyId: { fields: ['agencyId'], value: listing => listing.agencyId?.toString() || null },
+  createdAt: { fields: ['createdAt'], value: listing => toIso(listing.createdAt) },
+  updatedAt: { fields: ['updatedAt'], value: listing => toIso(listing.updatedAt) }
+};
+
+// Shortcuts accepted in ?columns=
+const COLUMN_GROUPS = {
+  prices: ['priceMonthly', 'priceDaily', 'priceSale', 'currency', 'priceUSD', 'priceCDF', 'negotiable'],
+  location: ['address', 'quartier', 'commune', 'district', 'ville'],
+  subscription: ['subscriptionPlan', 'subscriptionStartDate', 'expiryDate', 'activeSubscription'],
+  payment: ['paymentStatus'],
+  views: ['views', 'phoneReveals', 'whatsappClicks', 'favoriteCount']
+};
+
+const DEFAULT_COLUMNS = [
+  'id', 'title', 'typeOfListing', 'listingType', ...COLUMN_GROUPS.prices, 'commune', 'ville',
+  'status', 'published', 'paymentStatus', ...COLUMN_GROUPS.subscription, ...COLUMN_GROUPS.views, 'createdAt'
+];
+
+/**
+ * Resolve ?columns= (comma-separated columns or groups) to column names.
+ * Returns { columns } or { error }.
+ */
+const parseColumns = (value, allowed = Object.keys(COLUMNS)) => {
+  if (!value) {
+    return { columns: DEFAULT_COLUMNS.filter(column => allowed.includes(column)) };
+  }
+
+  const columns = [];
+  const unknown = [];
+  String(value).split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+    const expanded = COLUMN_GROUPS[name] || [name];
+    expanded.forEach(column => {
+      if (!allowed.includes(column)) unknown.push(column);
+      else if (!columns.includes(column)) columns.push(column);
+    });
+  });
+
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+  if (columns.length === 0) {
+    return { error: 'At least one column is required' };
+  }
+  return { columns };
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the export filter from query parameters.
+ * `allowOwnerFilters` enables createdBy/agencyId, which only admins may choose.
+ * Returns { filter } or { error }.
+ */
+const buildExportFilter = (query, { allowOwnerFilters = false } = {}) => {
+  const filter = {};
+
+  ['status', 'paymentStatus', 'listingType', 'typeOfListing', 'commune', 'ville', 'quartier', 'subscriptionPlan']
+    .forEach(field => {
+      if (query[field]) filter[field] = query[field];
+    });
+
+  if (query.published === 'true') filter.isDeleted = false;
+  if (query.published === 'false') filter.isDeleted = true;
+  if (query.activeSubscription === 'true') filter.activeSubscription = true;
+  if (query.activeSubscription === 'false') filter.activeSubscription = false;
+
+  if (query.createdFrom || query.createdTo) {
+    const from = query.createdFrom && parseDate(query.createdFrom);
+    const to = query.createdTo && parseDate(query.createdTo);
+    if ((query.createdFrom && !from) || (query.createdTo && !to)) {
+      return { error: 'Invalid createdFrom/createdTo date' };
+    }
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  if (allowOwnerFilters) {
+    for (const field of ['createdBy', 'agencyId']) {
+      if (!query[field]) continue;
+      if (!mongoose.isValidObjectId(query[field])) {
+        return { error: `Invalid ${field}` };
+      }
+      filter[field] = query[field];
+    }
+  }
+
+  return { filter };
+};
+
+// Quote CSV values when needed and neutralise spreadsheet formulas
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream the listings matching `filter` to the response, reading them from a cursor in
+ * batches so the collection is never loaded in memory. Stops when the client disconnects.
+ */
+const streamListings = async (req, res, { filter, columns, format, filename }) => {
+  const definitions = columns.map(column => COLUMNS[column]);
+  const needsStats = definitions.some(definition => definition.stats);
+  const needsFavorites = definitions.some(definition => definition.favorites);
+  const projection = [...new Set(definitions.flatMap(definition => definition.fields || []))].join(' ');
+
+  const cursor = Listing.find(filter)
+    .select(projection || '_id')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let aborted = false;
+  const onClose = () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  };
+  res.on('close', onClose);
+
+  // Wait for the client to catch up before writing more
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  const writeBatch = async (listings) => {
+    const ids = listings.map(listing => listing._id);
+    const [stats, favoriteCounts] = await Promise.all([
+      needsStats ? getLifetimeTotalsByListing(ids) : {},
+      needsFavorites ? Favorite.countByListing(ids) : {}
+    ]);
+
+    const lines = listings.map(listing => {
+      const id = listing._id.toString();
+      const extra = { stats: stats[id], favoriteCount: favoriteCounts[id] };
+      const values = definitions.map(definition => definition.value(listing, extra));
+
+      if (format === 'csv') {
+        return values.map(csvValue).join(',');
+      }
+      return JSON.stringify(columns.reduce((row, column, index) => {
+        row[column] = values[index] === undefined ? null : values[index];
+        return row;
+      }, {}));
+    });
+
+    await write(`${lines.join('\n')}\n`);
+  };
+
+  res.status(200);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format === 'csv' ? 'csv' : 'ndjson'}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (format === 'csv') {
+    // BOM so Excel reads accents correctly
+    await write(`\uFEFF${columns.join(',')}\n`);
+  }
+
+  let batch = [];
+  let count = 0;
+  try {
+    for await (const listing of cursor) {
+      if (aborted) break;
+      batch.push(listing);
+      if (batch.length === BATCH_SIZE) {
+        await writeBatch(batch);
+        count += batch.length;
+        batch = [];
+      }
+    }
+    if (!aborted && batch.length > 0) {
+      await writeBatch(batch);
+      count += batch.length;
+    }
+  } finally {
+    res.off('close', onClose);
+  }
+
+  if (!aborted) res.end();
+  return { count, aborted };
+};
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  COLUMN_GROUPS,
+  parseColumns,
+  buildExportFilter,
+  streamListings
+};
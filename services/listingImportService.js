@@ -0,0 +1,390 @@
+// services/listingImportService.js - Bulk listing import from a CSV/XLSX sheet and a ZIP of images
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+const Listing = require('../models/Listing');
+const logger = require('../config/logger');
+const { uploadBufferToS3 } = require('../config/s3');
+const { parseCoordinates } = require('../utils/geo');
+const { validateListingData, validateLocation } = require('../utils/listingValidation');
+const { getLocationTree } = require('./locationService');
+
+const MAX_ROWS = 500;
+const MAX_IMAGES_PER_LISTING = 10;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+const TEXT_COLUMNS = [
+  'reference', 'title', 'description', 'typeOfListing', 'listingType', 'currency',
+  'address', 'quartier', 'commune', 'district', 'ville',
+  'listerFirstName', 'listerLastName', 'listerEmailAddress', 'listerPhoneNumber'
+];
+const NUMBER_DETAILS = ['floor', 'bedroom', 'bathroom', 'kitchen', 'dinningRoom', 'livingRoom', 'parking', 'area', 'yearBuilt'];
+const BOOLEAN_DETAILS = [
+  'garden', 'furnished', 'wifi', 'airConditioner', 'security',
+  'solarPower', 'waterTank', 'generator', 'swimming', 'accessForDisabled'
+];
+const LIST_COLUMNS = ['features', 'nearbyAmenities', 'images'];
+
+// Columns of the template, in order
+const TEMPLATE_COLUMNS = [
+  ...TEXT_COLUMNS, 'price', 'negotiable', 'latitude', 'longitude',
+  ...NUMBER_DETAILS, ...BOOLEAN_DETAILS, ...LIST_COLUMNS
+];
+
+// Header spellings are matched ignoring case, spaces, dashes and underscores
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[\s_-]+/g, '');
+const COLUMN_BY_HEADER = TEMPLATE_COLUMNS.reduce((map, column) => {
+  map[normalizeHeader(column)] = column;
+  return map;
+}, {});
+
+const parseBoolean = (value) => ['true', '1', 'yes', 'oui', 'x'].includes(String(value).trim().toLowerCase());
+
+// Prices are written "1 200", "1.200.000" or "1,200,000" with thousands separators and
+// "450,50" or "450.50" with decimals. When both separators are used the last one is the
+// decimal one; a separator used once is a thousands separator before exactly three digits
+// ("300.000", "1,200") and the decimal one before one or two digits ("450,50").
+const parsePrice = (value) => {
+  if (typeof value === 'number') return value;
+  let text = String(value ?? '').replace(/\s/g, '');
+  if (!text) return NaN;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    text = text.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const parts = text.split(lastComma !== -1 ? ',' : '.');
+    const last = parts[parts.length - 1];
+    if (parts.length === 2 && /^\d{1,2}$/.test(last)) {
+      text = parts.join('.');
+    } else if (parts.slice(1).every(part => /^\d{3}$/.test(part))) {
+      text = parts.join('');
+    } else {
+      return NaN;
+    }
+  }
+  return Number(text);
+};
+
+const parseList = (value) => String(value || '')
+  .split(/[;|\n]/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Semicolons are the usual separator of CSV files saved by Excel in French
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX file into row objects keyed by template column.
+ * Unknown columns are ignored. Returns { rows, unknownColumns }.
+ */
+const readSheet = async (buffer, filename) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (path.extname(filename).toLowerCase() === '.xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    worksheet = await workbook.csv.read(Readable.from([text]), {
+      parserOptions: { delimiter: detectDelimiter(text) },
+      map: value => value // Keep every cell as typed text
+    });
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], unknownColumns: [] };
+  }
+
+  const columns = [];
+  const unknownColumns = [];
+  worksheet.getRow(1).eachCell((cell, index) => {
+    const column = COLUMN_BY_HEADER[normalizeHeader(cell.text)];
+    if (column) columns[index] = column;
+    else if (cell.text) unknownColumns.push(cell.text);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = { rowNumber };
+    let hasValue = false;
+    row.eachCell((cell, index) => {
+      const column = columns[index];
+      const text = cell.text.trim();
+      if (column && text) {
+        values[column] = text;
+        hasValue = true;
+      }
+    });
+    if (hasValue) rows.push(values);
+  });
+
+  return { rows, unknownColumns };
+};
+
+/**
+ * Index the images of a ZIP archive by full path and by file name, both lowercased.
+ * Entries larger than the image limit are indexed with an error instead of being read.
+ */
+const indexImages = (zipBuffer) => {
+  const zip = new AdmZip(zipBuffer);
+  const byPath = new Map();
+  const byName = new Map();
+
+  zip.getEntries().forEach(entry => {
+    const entryPath = entry.entryName.replace(/\\/g, '/');
+    if (entry.isDirectory || entryPath.startsWith('__MACOSX/') || path.basename(entryPath).startsWith('.')) return;
+
+    const extension = path.extname(entryPath).toLowerCase();
+    if (!IMAGE_TYPES[extension]) return;
+
+    const image = { entry, path: entryPath, contentType: IMAGE_TYPES[extension] };
+    byPath.set(entryPath.toLowerCase(), image);
+
+    const name = path.basename(entryPath).toLowerCase();
+    byName.set(name, byName.has(name) ? null : image); // null marks an ambiguous name
+  });
+
+  return { byPath, byName };
+};
+
+// Images of a row: listed file names, or every image in the folder named after its reference
+const resolveRowImages = (row, images) => {
+  const errors = [];
+  let files = [];
+
+  if (row.images) {
+    parseList(row.images).forEach(name => {
+      const key = name.replace(/\\/g, '/').toLowerCase();
+      const image = images.byPath.get(key) || images.byName.get(path.basename(key));
+      if (image) files.push(image);
+      else if (image === null) errors.push(`Image name is ambiguous in the archive, use its folder path: ${name}`);
+      else errors.push(`Image not found in the archive: ${name}`);
+    });
+  } else if (row.reference) {
+    const folder = `${row.reference.toLowerCase()}/`;
+    files = [...images.byPath.entries()]
+      .filter(([key]) => key.startsWith(folder) || key.includes(`/${folder}`))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, image]) => image);
+  }
+
+  if (files.length === 0 && errors.length === 0) {
+    errors.push('At least one image is required (images column, or a folder named after the reference)');
+  }
+  if (files.length > MAX_IMAGES_PER_LISTING) {
+    errors.push(`A listing can have at most ${MAX_IMAGES_PER_LISTING} images`);
+  }
+  files.forEach(image => {
+    if (image.entry.header.size > MAX_IMAGE_BYTES) {
+      errors.push(`Image larger than 5 MB: ${image.path}`);
+    }
+  });
+
+  return { files, errors };
+};
+
+/**
+ * Build the listing data of a row, filling lister fields from the importing user,
+ * and collect every validation error.
+ */
+const buildRowListing = async (row, { user, agencyId, images, locationTree }) => {
+  const errors = [];
+  const data = {};
+  const reportedPaths = new Set(); // Paths already reported, not repeated from the schema
+
+  TEXT_COLUMNS.forEach(column => {
+    if (row[column] && column !== 'reference') data[column] = row[column];
+  });
+  data.listerFirstName = data.listerFirstName || user.firstName;
+  data.listerLastName = data.listerLastName || user.lastName;
+  data.listerEmailAddress = data.listerEmailAddress || user.email;
+  data.listerPhoneNumber = data.listerPhoneNumber || user.phoneNumber;
+  if (data.typeOfListing) data.typeOfListing = data.typeOfListing.toLowerCase();
+  if (data.listingType) data.listingType = data.listingType.toLowerCase();
+  if (data.currency) data.currency = data.currency.toUpperCase();
+  data.negotiable = parseBoolean(row.negotiable);
+
+  // Price goes to the field matching the listing type
+  const price = parsePrice(row.price);
+  if (!row.price || isNaN(price)) {
+    errors.push('price must be a number');
+    ['priceMonthly', 'priceDaily', 'priceSale'].forEach(field => reportedPaths.add(field));
+  } else if (data.listingType === 'rent') {
+    data.priceMonthly = price;
+  } else if (data.listingType === 'daily') {
+    data.priceDaily = price;
+  } else if (data.listingType === 'sale') {
+    data.priceSale = price;
+  }
+
+  data.details = {};
+  NUMBER_DETAILS.forEach(column => {
+    if (row[column] === undefined) return;
+    const value = Number(row[column]);
+    if (isNaN(value)) errors.push(`${column} must be a number`);
+    else data.details[column] = value;
+  });
+  BOOLEAN_DETAILS.forEach(column => {
+    if (row[column] !== undefined) data.details[column] = parseBoolean(row[column]);
+  });
+
+  data.features = parseList(row.features);
+  data.nearbyAmenities = parseList(row.nearbyAmenities);
+
+  const coordinates = parseCoordinates(row);
+  if (coordinates.provided && !coordinates.isValid) {
+    errors.push('Invalid coordinates. Latitude must be between -90 and 90 and longitude between -180 and 180');
+  } else if (coordinates.provided) {
+    data.location = coordinates.point;
+  }
+
+  // Same required fields as the form, after deriving the district from the commune
+  const location = data.ville && data.commune && data.quartier ? validateLocation(data, locationTree) : null;
+  if (location && location.isValid) {
+    Object.assign(data, location.location);
+  } else if (location) {
+    errors.push(location.error);
+    ['district', 'commune', 'quartier', 'ville'].forEach(field => reportedPaths.add(field));
+  }
+
+  const validation = validateListingData(data);
+  const missingFields = validation.isValid
+    ? []
+    : validation.missingFields.filter(field => !reportedPaths.has(field));
+  if (missingFields.length > 0) {
+    errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+  missingFields.forEach(field => reportedPaths.add(field));
+
+  const { files, errors: imageErrors } = resolveRowImages(row, images);
+  errors.push(...imageErrors);
+  if (imageErrors.length > 0) reportedPaths.add('images');
+
+  // Draft awaiting payment, like listings created from the payment flow
+  Object.assign(data, {
+    createdBy: user._id,
+    agencyId,
+    status: 'pending_payment',
+    isDeleted: true,
+    paymentStatus: 'unpaid'
+  });
+
+  // Schema rules, with the archive paths standing in for the image URLs
+  const listing = new Listing({ ...data, images: files.map(image => image.path) });
+  try {
+    await listing.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    Object.values(error.errors).forEach(err => {
+      if (!reportedPaths.has(err.path.split('.')[0])) errors.push(err.message);
+    });
+  }
+
+  return { listing, files, errors };
+};
+
+/**
+ * Validate every row and, unless dryRun, upload the images and save the valid rows as drafts.
+ * Returns a report with one entry per row.
+ */
+const importListings = async ({ rows, zipBuffer, user, agencyId, dryRun }) => {
+  const images = zipBuffer ? indexImages(zipBuffer) : { byPath: new Map(), byName: new Map() };
+  const locationTree = await getLocationTree();
+  const results = [];
+  const seenReferences = new Set();
+
+  for (const row of rows) {
+    const result = { row: row.rowNumber, reference: row.reference || null };
+
+    try {
+      const { listing, files, errors } = await buildRowListing(row, { user, agencyId, images, locationTree });
+
+      if (row.reference) {
+        const reference = row.reference.toLowerCase();
+        if (seenReferences.has(reference)) errors.push(`Duplicate reference in the file: ${row.reference}`);
+        seenReferences.add(reference);
+      }
+
+      if (errors.length > 0) {
+        results.push({ ...result, status: 'error', errors });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ ...result, status: 'valid', title: listing.title || null });
+        continue;
+      }
+
+      // One row at a time keeps memory use low with large archives
+      const imageUrls = [];
+      for (const image of files) {
+        imageUrls.push(await uploadBufferToS3(image.entry.getData(), image.path, image.contentType));
+      }
+      listing.images = imageUrls;
+      await listing.save();
+
+      results.push({ ...result, status: 'created', listingId: listing._id, title: listing.title });
+    } catch (error) {
+      logger.error('Error importing listing row', { row: row.rowNumber, error: error.message });
+      results.push({ ...result, status: 'error', errors: [error.message] });
+    }
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, { total: results.length, created: 0, valid: 0, error: 0 });
+
+  return { summary, results };
+};
+
+// CSV template with the supported columns and one example row
+const buildTemplateCsv = () => {
+  const example = {
+    reference: 'APT-001',
+    title: 'Appartement 2 chambres à Kalamu',
+    typeOfListing: 'apartment',
+    listingType: 'rent',
+    currency: 'USD',
+    address: '12 avenue Kasa-Vubu',
+    quartier: 'Matonge 1',
+    commune: 'Kalamu',
+    ville: 'Kinshasa',
+    price: '450',
+    negotiable: 'oui',
+    bedroom: '2',
+    bathroom: '1',
+    furnished: 'non',
+    features: 'Balcon;Parking',
+    images: 'APT-001/salon.jpg;APT-001/chambre.jpg'
+  };
+
+  const escape = (value = '') => (/[;"\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return `${TEMPLATE_COLUMNS.join(';')}\n${TEMPLATE_COLUMNS.map(column => escape(example[column])).join(';')}\n`;
+};
+
+module.exports = {
+  MAX_ROWS,
+  TEMPLATE_COLUMNS,
+  readSheet,
+  importListings,
+  buildTemplateCsv
+};
@@ -0,0 +1,43 @@
+// services/listingReportService.js - Reports of fraudulent or stale listings
+const crypto = require('crypto');
+const Listing = require('../models/Listing');
+const ListingReport = require('../models/ListingReport');
+const { getClientIp } = require('./analyticsService');
+
+// Open reports from distinct signed-in users after which a listing is hidden until a
+// moderator checks it. Visitors' reports are listed for moderators but do not hide listings.
+const LISTING_REPORT_THRESHOLD = Number(process.env.LISTING_REPORT_THRESHOLD || 3);
+
+// Moderation reason of listings hidden by reports
+const REPORTED_REASON = 'Reported by users';
+
+// Identify a reporter without storing raw IP addresses; a visitor counts once per IP
+const getReporterKey = (req) => {
+  if (req.user?._id) return `user:${req.user._id}`;
+  return `ip:${crypto.createHash('sha256').update(getClientIp(req)).digest('hex').substring(0, 32)}`;
+};
+
+// Recount the open reports of a listing and store the count on it
+const refreshReportCount = async (listingId) => {
+  const reportCount = await ListingReport.countDocuments({ listingId, status: 'open' });
+  await Listing.updateOne({ _id: listingId }, { $set: { reportCount } });
+  return reportCount;
+};
+
+// Whether a listing has enough open reports from signed-in users to be hidden
+const reachesHideThreshold = async (listingId) => {
+  const userReports = await ListingReport.countDocuments({
+    listingId,
+    status: 'open',
+    reporterId: { $ne: null }
+  });
+  return userReports >= LISTING_REPORT_THRESHOLD;
+};
+
+module.exports = {
+  LISTING_REPORT_THRESHOLD,
+  REPORTED_REASON,
+  getReporterKey,
+  refreshReportCount,
+  reachesHideThreshold
+};
@@ -0,0 +1,316 @@
+// services/locationService.js - Ville / district / commune / quartier hierarchy stored in MongoDB
+const Ville = require('../models/Ville');
+const District = require('../models/District');
+const Commune = require('../models/Commune');
+const Quartier = require('../models/Quartier');
+const logger = require('../config/logger');
+const villesData = require('../utils/villesData');
+const locationData = require('../utils/locationData');
+const { validateLocation, normalizeName } = require('../utils/listingValidation');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const SEARCH_TYPES = ['ville', 'commune', 'quartier'];
+
+// Levels of the hierarchy, from the top. `listingField` is the listing field holding the name.
+const LEVELS = {
+  villes: { model: Ville, parent: null, listingField: 'ville' },
+  districts: { model: District, parent: 'villes', parentField: 'villeId', listingField: 'district' },
+  communes: { model: Commune, parent: 'districts', parentField: 'districtId', listingField: 'commune' },
+  quartiers: { model: Quartier, parent: 'communes', parentField: 'communeId', listingField: 'quartier' }
+};
+
+const slugify = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Slug of a new entry: the parent prefix and the name, with a counter if already taken
+const generateSlug = async (Model, name, prefix = '') => {
+  const base = [prefix, slugify(name)].filter(Boolean).join('-') || 'lieu';
+  let slug = base;
+  let count = 0;
+  while (await Model.exists({ slug })) {
+    count++;
+    slug = `${base}-${count}`;
+  }
+  return slug;
+};
+
+// Insert documents, ignoring the ones whose slug already exists
+const insertMissing = async (Model, docs) => {
+  if (docs.length === 0) return;
+  try {
+    await Model.insertMany(docs, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(err => err.code !== 11000)) throw error;
+  }
+};
+
+// Keep one entry per slug; the static files repeat a few names
+const uniqueBySlug = (docs) => [...new Map(docs.map(doc => [doc.slug, doc])).values()];
+
+/**
+ * Fill the location collections from utils/villesData.js and utils/locationData.js
+ * when they are empty. Slugs are deterministic, so concurrent runs do not create duplicates.
+ */
+const seedLocationsIfEmpty = async () => {
+  if (await Ville.exists({})) {
+    return { seeded: false };
+  }
+
+  await insertMissing(Ville, uniqueBySlug(villesData.map(ville => ({
+    name: ville.nom,
+    slug: slugify(ville.nom),
+    code: ville.code,
+    isActive: ville.isActive
+  }))));
+  const villes = await Ville.find({});
+
+  const districts = [];
+  const communes = [];
+  const quartiers = [];
+
+  for (const ville of villes) {
+    const data = locationData[ville.name];
+    if (!data) continue;
+
+    for (const district of data.districts) {
+      districts.push({ name: district.nom, slug: `${ville.slug}-${slugify(district.nom)}`, villeId: ville._id });
+    }
+  }
+  await insertMissing(District, uniqueBySlug(districts));
+  const districtBySlug = new Map((await District.find({})).map(district => [district.slug, district]));
+
+  for (const ville of villes) {
+    const data = locationData[ville.name];
+    if (!data) continue;
+
+    for (const district of data.districts) {
+      const districtDoc = districtBySlug.get(`${ville.slug}-${slugify(district.nom)}`);
+      for (const commune of district.communes) {
+        communes.push({
+          name: commune.nom,
+          slug: `${ville.slug}-${slugify(commune.nom)}`,
+          villeId: ville._id,
+          districtId: districtDoc._id,
+          quartiers: commune.quartiers
+        });
+      }
+    }
+  }
+  await insertMissing(Commune, uniqueBySlug(communes).map(({ quartiers: _, ...commune }) => commune));
+  const communeBySlug = new Map((await Commune.find({})).map(commune => [commune.slug, commune]));
+
+  for (const commune of communes) {
+    const communeDoc = communeBySlug.get(commune.slug);
+    for (const name of commune.quartiers) {
+      quartiers.push({
+        name,
+        slug: `${communeDoc.slug}-${slugify(name)}`,
+        villeId: communeDoc.villeId,
+        districtId: communeDoc.districtId,
+        communeId: communeDoc._id
+      });
+    }
+  }
+  await insertMissing(Quartier, uniqueBySlug(quartiers));
+
+  invalidateLocationCache();
+
+  const counts = {
+    villes: villes.length,
+    districts: districtBySlug.size,
+    communes: communeBySlug.size,
+    quartiers: await Quartier.countDocuments()
+  };
+  logger.info('Location collections seeded', counts);
+  return { seeded: true, counts };
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name, 'fr');
+
+/**
+ * Build the hierarchy in the shape of utils/locationData.js:
+ * { [villeName]: { slug, code, districts: [{ nom, slug, communes: [{ nom, slug, quartiers: [name] }] }] } }
+ */
+const buildTree = async ({ includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  const [villes, districts, communes, quartiers] = await Promise.all([
+    Ville.find(filter).lean(),
+    District.find(filter).lean(),
+    Commune.find(filter).lean(),
+    Quartier.find(filter).select('name communeId').lean()
+  ]);
+
+  const quartiersByCommune = new Map();
+  quartiers.sort(byName).forEach(quartier => {
+    const key = quartier.communeId.toString();
+    if (!quartiersByCommune.has(key)) quartiersByCommune.set(key, []);
+    quartiersByCommune.get(key).push(quartier.name);
+  });
+
+  const communesByDistrict = new Map();
+  communes.sort(byName).forEach(commune => {
+    const key = commune.districtId.toString();
+    if (!communesByDistrict.has(key)) communesByDistrict.set(key, []);
+    communesByDistrict.get(key).push({
+      nom: commune.name,
+      slug: commune.slug,
+      quartiers: quartiersByCommune.get(commune._id.toString()) || []
+    });
+  });
+
+  const districtsByVille = new Map();
+  districts.sort(byName).forEach(district => {
+    const key = district.villeId.toString();
+    if (!districtsByVille.has(key)) districtsByVille.set(key, []);
+    districtsByVille.get(key).push({
+      nom: district.name,
+      slug: district.slug,
+      communes: communesByDistrict.get(district._id.toString()) || []
+    });
+  });
+
+  return villes.sort(byName).reduce((tree, ville) => {
+    tree[ville.name] = {
+      slug: ville.slug,
+      code: ville.code,
+      districts: districtsByVille.get(ville._id.toString()) || []
+    };
+    return tree;
+  }, {});
+};
+
+// The active hierarchy is read on every listing creation, so it is cached for a few minutes
+let cachedTree = null;
+let cachedAt = 0;
+
+const getLocationTree = async () => {
+  if (!cachedTree || Date.now() - cachedAt > CACHE_TTL_MS) {
+    cachedTree = await buildTree();
+    cachedAt = Date.now();
+  }
+  return cachedTree;
+};
+
+// Called after every admin change so this process serves fresh data immediately
+const invalidateLocationCache = () => {
+  cachedTree = null;
+};
+
+/**
+ * Check a listing's ville / district / commune / quartier against the active hierarchy.
+ * Returns { isValid, error } or { isValid, location } with the official spelling of each name.
+ */
+const validateListingLocation = async (data) => validateLocation(data, await getLocationTree());
+
+// Search entries built from a location tree, one per ville, commune and quartier
+const searchIndexes = new WeakMap();
+
+const getSearchIndex = (tree) => {
+  if (searchIndexes.has(tree)) return searchIndexes.get(tree);
+
+  const entry = (type, name, path, slug) => ({
+    type,
+    name,
+    slug,
+    path,
+    key: normalizeName(name),
+    words: name.split(/[\s\-']+/).map(normalizeName).filter(Boolean)
+  });
+
+  const index = [];
+  Object.entries(tree).forEach(([villeName, ville]) => {
+    index.push(entry('ville', villeName, {}, ville.slug));
+    ville.districts.forEach(district => {
+      district.communes.forEach(commune => {
+        index.push(entry('commune', commune.nom, { ville: villeName, district: district.nom }, commune.slug));
+        commune.quartiers.forEach(quartier => {
+          index.push(entry('quartier', quartier, { ville: villeName, district: district.nom, commune: commune.nom }));
+        });
+      });
+    });
+  });
+
+  searchIndexes.set(tree, index);
+  return index;
+};
+
+// Smallest edit distance between the query and any prefix of the name, so that
+// a partly typed name with a typo still matches ("ngalima" -> "Ngaliema")
+const prefixDistance = (query, name) => {
+  let previous = Array.from({ length: name.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= name.length; j++) {
+      const cost = query[i - 1] === name[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return Math.min(...previous.slice(Math.max(0, query.length - 2)));
+};
+
+const TYPE_RANK = { ville: 3, commune: 2, quartier: 1 };
+
+// How well a normalised query matches an entry; 0 means no match
+const scoreEntry = (query, entry) => {
+  if (entry.key === query) return 100;
+  if (entry.key.startsWith(query)) return 80;
+  if (entry.words.some(word => word.startsWith(query))) return 70;
+  if (query.length >= 3 && entry.key.includes(query)) return 50;
+
+  // One typo allowed from 4 characters, two from 8
+  const maxDistance = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+  if (maxDistance === 0) return 0;
+  const distance = prefixDistance(query, entry.key);
+  return distance <= maxDistance ? 40 - distance * 10 : 0;
+};
+
+/**
+ * Ranked villes, communes and quartiers matching a partly typed name,
+ * ignoring case, accents, spaces and dashes.
+ * Options: types (subset of SEARCH_TYPES), ville (restrict to one ville), limit.
+ */
+const searchLocations = async (query, { types = SEARCH_TYPES, ville, limit = 10 } = {}) => {
+  const normalizedQuery = normalizeName(query);
+  if (!normalizedQuery) return [];
+
+  const villeKey = ville ? normalizeName(ville) : null;
+  const index = getSearchIndex(await getLocationTree());
+
+  return index
+    .filter(entry => types.includes(entry.type))
+    .filter(entry => !villeKey || normalizeName(entry.path.ville || entry.name) === villeKey)
+    .map(entry => ({ entry, score: scoreEntry(normalizedQuery, entry) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score
+      || TYPE_RANK[b.entry.type] - TYPE_RANK[a.entry.type]
+      || a.entry.name.length - b.entry.name.length
+      || a.entry.name.localeCompare(b.entry.name, 'fr'))
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      type: entry.type,
+      name: entry.name,
+      ...(entry.slug && { slug: entry.slug }),
+      ...entry.path,
+      label: [entry.name, entry.path.commune, entry.path.ville].filter(Boolean).join(', '),
+      score
+    }));
+};
+
+module.exports = {
+  LEVELS,
+  slugify,
+  generateSlug,
+  seedLocationsIfEmpty,
+  buildTree,
+  getLocationTree,
+  invalidateLocationCache,
+  validateListingLocation,
+  SEARCH_TYPES,
+  searchLocations
+};
@@ -0,0 +1,112 @@
+// services/moderationService.js - Review of paid listings before they go live
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { sendNotification, getFrontendUrl, getListingUrl } = require('./notificationService');
+
+// Moderation states that keep a listing hidden, whatever its owner does.
+// isDeleted stays the owner's own publish flag.
+const HELD_STATUSES = ['pending_review', 'rejected'];
+
+// Edits to these fields of an approved listing need a new review
+const REVIEWED_FIELDS = [
+  'title', 'description', 'images', 'address', 'ville', 'commune', 'quartier',
+  'location', 'listingType', 'typeOfListing'
+];
+
+const DEFAULT_SUBSCRIPTION_MONTHS = 3;
+
+const isHeldForModeration = (listing) => HELD_STATUSES.includes(listing.moderationStatus);
+
+// Query condition leaving out listings held for moderation
+const notHeldFilter = () => ({ moderationStatus: { $nin: HELD_STATUSES } });
+
+// Listings paid for before moderation existed count as approved
+const isApproved = (listing) => listing.moderationStatus === 'approved' ||
+  (!listing.moderationStatus && listing.paymentStatus === 'paid');
+
+// Whether pending edits to a live listing change what moderators checked
+const needsNewReview = (listing) => isApproved(listing) &&
+  REVIEWED_FIELDS.some(field => listing.isModified(field));
+
+// Hide a listing until a moderator approves it
+const submitForReview = (listing) => {
+  listing.moderationStatus = 'pending_review';
+  listing.moderationReason = undefined;
+  listing.submittedForReviewAt = new Date();
+  listing.status = 'pending';
+  listing.activeSubscription = false;
+};
+
+/**
+ * Publish an approved listing. A listing taken down while its plan was running gets the
+ * rest of that plan back; otherwise the paid plan starts now.
+ */
+const approveListing = (listing, adminId) => {
+  listing.moderationStatus = 'approved';
+  listing.moderationReason = undefined;
+  listing.moderatedAt = new Date();
+  listing.moderatedBy = adminId;
+
+  if (listing.subscriptionStartDate && listing.expiryDate > new Date()) {
+    listing.status = 'available';
+    listing.activeSubscription = true;
+  } else {
+    listing.activateSubscription(listing.subscriptionMonths || DEFAULT_SUBSCRIPTION_MONTHS);
+  }
+};
+
+// Refuse a listing; it stays hidden until its owner fixes and resubmits it
+const rejectListing = (listing, adminId, reason) => {
+  listing.moderationStatus = 'rejected';
+  listing.moderationReason = reason;
+  listing.moderatedAt = new Date();
+  listing.moderatedBy = adminId;
+  listing.status = 'pending';
+  listing.activeSubscription = false;
+};
+
+const buildDecisionMessage = (listing) => {
+  if (listing.moderationStatus === 'approved') {
+    return `✅ *Annonce publiée*
+
+Votre annonce « ${listing.title} » a été validée et est maintenant visible.
+
+${getListingUrl(listing._id)}`;
+  }
+
+  return `❌ *Annonce refusée*
+
+Votre annonce « ${listing.title} » n'a pas été validée.
+Motif : ${listing.moderationReason}
+
+Modifiez-la puis soumettez-la à nouveau depuis votre espace, sans payer de nouveau :
+${getFrontendUrl('/dashboard/listings')}`;
+};
+
+/**
+ * Tell the lister about a moderation decision. Runs in the background and never throws.
+ */
+const notifyModerationDecision = async (listing) => {
+  try {
+    const user = await User.findById(listing.createdBy).select('phoneNumber');
+    const result = await sendNotification(user?.phoneNumber || listing.listerPhoneNumber, buildDecisionMessage(listing));
+    if (!result.success) {
+      logger.warn('Moderation notification not delivered', { listingId: listing._id, error: result.error });
+    }
+  } catch (error) {
+    logger.error('Error sending moderation notification', { listingId: listing._id, error: error.message });
+  }
+};
+
+module.exports = {
+  HELD_STATUSES,
+  REVIEWED_FIELDS,
+  isHeldForModeration,
+  notHeldFilter,
+  isApproved,
+  needsNewReview,
+  submitForReview,
+  approveListing,
+  rejectListing,
+  notifyModerationDecision
+};
@@ -0,0 +1,68 @@
+// services/notificationService.js - Route user notifications to WhatsApp or SMS
+const logger = require('../config/logger');
+const whatsappService = require('./whatsappService');
+const smsService = require('./smsService');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.congondaku.com';
+
+const CHANNELS = ['whatsapp', 'sms'];
+
+// Link to a page of the website
+const getFrontendUrl = (path = '') => `${FRONTEND_URL}${path}`;
+
+// Public link to a listing on the website
+const getListingUrl = (listingId) => getFrontendUrl(`/listing/${listingId}`);
+
+// Date and time in Kinshasa, as shown in messages (e.g. "samedi 12 juillet à 14:30")
+const formatDateTime = (date) => new Date(date).toLocaleString('fr-FR', {
+  timeZone: 'Africa/Kinshasa',
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Send a text notification on the preferred channel.
+ * Falls back to the other channel when the preferred one is not ready or fails.
+ * Resolves to { success, channel } and never throws, so callers can notify in the background.
+ */
+const sendNotification = async (phoneNumber, message, { channel = 'whatsapp' } = {}) => {
+  if (!phoneNumber) {
+    return { success: false, error: 'No phone number' };
+  }
+
+  const order = channel === 'sms' ? ['sms', 'whatsapp'] : ['whatsapp', 'sms'];
+  let lastError = null;
+
+  for (const current of order) {
+    const service = current === 'whatsapp' ? whatsappService : smsService;
+    if (!service.isReady) continue;
+
+    try {
+      if (current === 'whatsapp') {
+        await whatsappService.sendMessage(phoneNumber, message);
+      } else {
+        await smsService.sendSMS(phoneNumber, message);
+      }
+      return { success: true, channel: current };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Notification via ${current} failed`, { error: error.message });
+    }
+  }
+
+  return {
+    success: false,
+    error: lastError ? lastError.message : 'No notification channel available'
+  };
+};
+
+module.exports = {
+  CHANNELS,
+  getFrontendUrl,
+  getListingUrl,
+  formatDateTime,
+  sendNotification
+};
@@ -0,0 +1,62 @@
+// services/priceDropService.js - Tell users who saved a listing that its price dropped
+const Favorite = require('../models/Favorite');
+const logger = require('../config/logger');
+const { sendNotification, getListingUrl } = require('./notificationService');
+
+const PRICE_SUFFIXES = { rent: '/mois', daily: '/jour', sale: '' };
+
+// Latest price of a listing as written in messages, e.g. "450 USD/mois"
+const formatListingPrice = (listing) => {
+  const last = listing.priceHistory[listing.priceHistory.length - 1];
+  if (!last) return '';
+  return `${last.price.toLocaleString('fr-FR')} ${last.currency}${PRICE_SUFFIXES[listing.listingType] || ''}`;
+};
+
+const formatUSD = (amount) => `${Math.round(amount).toLocaleString('fr-FR')} USD`;
+
+/**
+ * Notify the users who favorited a listing about its price drop, as recorded by the
+ * listing's save hook in $locals.priceDrop. Runs in the background and never throws.
+ */
+const notifyFavoritesOfPriceDrop = async (listing) => {
+  const drop = listing.$locals.priceDrop;
+  if (!drop) return { notifiedCount: 0 };
+
+  try {
+    const favorites = await Favorite.find({ listingId: listing._id })
+      .populate('userId', 'firstName phoneNumber');
+
+    const percent = Math.round((1 - drop.priceUSD / drop.previousPriceUSD) * 100);
+    const message = `📉 *Baisse de prix sur une annonce de vos favoris*
+
+« ${listing.title} » (${listing.commune})
+Nouveau prix : ${formatListingPrice(listing)}
+Avant : environ ${formatUSD(drop.previousPriceUSD)} (-${percent} %)
+
+${getListingUrl(listing._id)}`;
+
+    let notifiedCount = 0;
+    for (const favorite of favorites) {
+      const user = favorite.userId;
+      if (!user || user._id.toString() === listing.createdBy.toString()) continue;
+
+      const result = await sendNotification(user.phoneNumber, message);
+      if (result.success) {
+        notifiedCount++;
+      } else {
+        logger.warn('Price drop notification not delivered', { userId: user._id, error: result.error });
+      }
+    }
+
+    logger.info('Price drop notifications sent', { listingId: listing._id, notifiedCount });
+    return { notifiedCount };
+  } catch (error) {
+    logger.error('Error sending price drop notifications', { listingId: listing._id, error: error.message });
+    return { notifiedCount: 0 };
+  }
+};
+
+module.exports = {
+  formatListingPrice,
+  notifyFavoritesOfPriceDrop
+};
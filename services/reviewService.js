@@ -0,0 +1,111 @@
+// services/reviewService.js - Review eligibility, moderation and lister rating summary
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Visit = require('../models/Visit');
+const Booking = require('../models/Booking');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const logger = require('../config/logger');
+
+// Distinct reports that send a published review back to moderation
+const REPORT_HIDE_THRESHOLD = Number(process.env.REVIEW_REPORT_THRESHOLD || 3);
+// Hold every new review for an admin when set to 'true'
+const PRE_MODERATION = process.env.REVIEW_PRE_MODERATION === 'true';
+const BLOCKED_WORDS = (process.env.REVIEW_BLOCKED_WORDS || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/i;
+const PHONE_PATTERN = /(\+?\d[\d\s.-]{7,}\d)/;
+
+/**
+ * Find the interaction that allows a user to review a lister:
+ * a confirmed booking, a confirmed or completed visit, or a conversation the lister replied to.
+ * Returns { basis, listingId } or null.
+ */
+const findReviewBasis = async (reviewerId, listerId) => {
+  const booking = await Booking.findOne({ guestId: reviewerId, hostId: listerId, status: 'confirmed' })
+    .select('listingId');
+  if (booking) return { basis: 'booking', listingId: booking.listingId };
+
+  const visit = await Visit.findOne({
+    seekerId: reviewerId,
+    listerId,
+    status: { $in: ['confirmed', 'completed'] }
+  }).select('listingId');
+  if (visit) return { basis: 'visit', listingId: visit.listingId };
+
+  const conversations = await Conversation.find({ seekerId: reviewerId, listerId }).select('listingId');
+  for (const conversation of conversations) {
+    const replied = await Message.exists({ conversationId: conversation._id, senderId: listerId });
+    if (replied) return { basis: 'conversation', listingId: conversation.listingId };
+  }
+
+  return null;
+};
+
+/**
+ * Moderation hook run on every new or edited review.
+ * Returns the status to apply and, when held, the reason.
+ */
+const checkReviewContent = (review) => {
+  const text = (review.comment || '').toLowerCase();
+
+  if (LINK_PATTERN.test(text)) {
+    return { status: 'pending', reason: 'Contains a link' };
+  }
+  if (PHONE_PATTERN.test(text)) {
+    return { status: 'pending', reason: 'Contains a phone number' };
+  }
+  const word = BLOCKED_WORDS.find(blocked => text.includes(blocked));
+  if (word) {
+    return { status: 'pending', reason: 'Contains a blocked word' };
+  }
+  if (PRE_MODERATION) {
+    return { status: 'pending', reason: 'Awaiting review' };
+  }
+  return { status: 'published', reason: undefined };
+};
+
+// Recompute the published rating summary stored on the lister
+const refreshListerRating = async (listerId) => {
+  try {
+    const [summary] = await Review.aggregate([
+      { $match: { listerId, status: 'published' } },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = summary
+      ? { average: Math.round(summary.average * 10) / 10, count: summary.count }
+      : { average: 0, count: 0 };
+
+    await User.updateOne({ _id: listerId }, { $set: { rating } });
+    return rating;
+  } catch (error) {
+    logger.error('Error refreshing lister rating', { listerId, error: error.message });
+    return null;
+  }
+};
+
+// Rating distribution (1 to 5 stars) of a lister's published reviews
+const getRatingBreakdown = async (listerId) => {
+  const groups = await Review.aggregate([
+    { $match: { listerId, status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach(group => {
+    breakdown[group._id] = group.count;
+  });
+  return breakdown;
+};
+
+module.exports = {
+  REPORT_HIDE_THRESHOLD,
+  findReviewBasis,
+  checkReviewContent,
+  refreshListerRating,
+  getRatingBreakdown
+};
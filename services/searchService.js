@@ -0,0 +1,245 @@
+// services/searchService.js - French-aware listing search: accent folding, light stemming,
+// synonyms and typo tolerance over precomputed search terms
+//
+// Every listing stores the stems of its searchable fields in `searchTerms`, prefixed with the
+// field group they come from, and in `searchFuzzy` the same stems with each of their one-letter
+// deletions. A query word of five letters or more then matches any stem one edit away
+// (insertion, deletion, substitution or swap) with a plain indexed $in.
+
+// Field groups, from the most to the least relevant, with the score of a match in each
+const SEARCH_FIELDS = {
+  t: ['title'],
+  l: ['address', 'quartier', 'commune', 'ville'],
+  d: ['description']
+};
+const FIELD_SCORES = { t: 3, l: 2, d: 1 };
+const FUZZY_SCORE = 0.5;
+const SEARCH_SOURCE_FIELDS = Object.values(SEARCH_FIELDS).flat();
+
+const MIN_FUZZY_LENGTH = 5; // Shorter query words must match exactly
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_LENGTH = 160;
+
+const STOPWORDS = new Set([
+  'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'au', 'aux', 'en', 'dans',
+  'sur', 'sous', 'pour', 'par', 'avec', 'sans', 'ce', 'cet', 'cette', 'ces', 'qui', 'que',
+  'est', 'sont', 'se', 'sa', 'son', 'ses', 'mon', 'ma', 'mes', 'nos', 'vos', 'leur', 'leurs',
+  'tres', 'plus', 'pas', 'ne', 'il', 'elle', 'on', 'nous', 'vous'
+]);
+
+// Words searched as one another
+const SYNONYMS = [
+  ['appartement', 'appart', 'apt'],
+  ['maison', 'villa'],
+  ['chambre', 'piece'],
+  ['terrain', 'parcelle'],
+  ['boutique', 'magasin'],
+  ['bureau', 'office']
+];
+
+// Lowercase without accents or ligatures: "Pièce à Limété" -> "piece a limete"
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/œ/g, 'oe')
+  .replace(/æ/g, 'ae')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Light French stemmer: folds plurals and feminine forms so that "meublée", "meublés"
+ * and "meuble" share a stem. It never needs to produce real words, only the same stem
+ * for the forms of a word.
+ */
+const stem = (word) => {
+  let term = word;
+
+  if (term.length > 4 && term.endsWith('aux') && !term.endsWith('eaux')) {
+    term = `${term.slice(0, -3)}al`; // locaux -> local
+  } else if (term.length > 3 && (term.endsWith('s') || term.endsWith('x'))) {
+    term = term.slice(0, -1);
+  }
+
+  if (term.length > 5 && term.endsWith('euse')) {
+    term = term.slice(0, -2); // spacieuse -> spacieu, like spacieux
+  }
+
+  while (term.length > 4 && term.endsWith('e')) {
+    term = term.slice(0, -1);
+  }
+
+  return term;
+};
+
+// Stems of the meaningful words of a text
+const stems = (text) => {
+  if (!text) return [];
+  return normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+};
+
+// The term with each of its letters removed in turn
+const deletions = (term) => Array.from(term, (_, index) => term.slice(0, index) + term.slice(index + 1));
+
+// Keys of a listing stem in `searchFuzzy`: short stems only match query words with an extra letter
+const fuzzyKeysOf = (term) => {
+  if (term.length < MIN_FUZZY_LENGTH - 1) return [];
+  return term.length >= MIN_FUZZY_LENGTH ? [term, ...deletions(term)] : [term];
+};
+
+const synonymIndex = SYNONYMS.reduce((index, group) => {
+  const groupStems = [...new Set(group.map(word => stem(normalizeText(word))))];
+  groupStems.forEach(term => index.set(term, groupStems));
+  return index;
+}, new Map());
+
+/**
+ * Search fields to store on a listing, as { searchTerms, searchFuzzy }.
+ */
+const buildSearchTerms = (listing) => {
+  const searchTerms = new Set();
+  const searchFuzzy = new Set();
+
+  Object.entries(SEARCH_FIELDS).forEach(([group, fields]) => {
+    fields.forEach(field => {
+      stems(listing[field]).forEach(term => {
+        searchTerms.add(`${group}:${term}`);
+        fuzzyKeysOf(term).forEach(key => searchFuzzy.add(key));
+      });
+    });
+  });
+
+  return {
+    searchTerms: [...searchTerms],
+    searchFuzzy: [...searchFuzzy]
+  };
+};
+
+/**
+ * Parse a search string into the terms every result must match, each with its synonyms
+ * and typo keys. Returns null when nothing is left to search (e.g. only stopwords).
+ */
+const parseSearchQuery = (search) => {
+  const terms = [...new Set(stems(search))].slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) return null;
+
+  return terms.map(term => ({
+    term,
+    variants: synonymIndex.get(term) || [term],
+    fuzzyKeys: term.length >= MIN_FUZZY_LENGTH ? [term, ...deletions(term)] : []
+  }));
+};
+
+const prefixed = (group, variants) => variants.map(variant => `${group}:${variant}`);
+
+// MongoDB conditions matching listings that contain every term
+const buildSearchConditions = (terms) => terms.map(({ variants, fuzzyKeys }) => {
+  const exact = {
+    searchTerms: { $in: Object.keys(SEARCH_FIELDS).flatMap(group => prefixed(group, variants)) }
+  };
+  return fuzzyKeys.length > 0
+    ? { $or: [exact, { searchFuzzy: { $in: fuzzyKeys } }] }
+    : exact;
+});
+
+// Aggregation expression of the relevance of a listing: each term scores its best match
+const buildScoreExpression = (terms) => {
+  const contains = (field, values) => ({
+    $gt: [{ $size: { $setIntersection: [{ $ifNull: [`$${field}`, []] }, values] } }, 0]
+  });
+
+  return {
+    $add: terms.map(({ variants, fuzzyKeys }) => {
+      const branches = Object.entries(FIELD_SCORES).map(([group, score]) => ({
+        case: contains('searchTerms', prefixed(group, variants)),
+        then: score
+      }));
+      if (fuzzyKeys.length > 0) {
+        branches.push({ case: contains('searchFuzzy', fuzzyKeys), then: FUZZY_SCORE });
+      }
+      return { $switch: { branches, default: 0 } };
+    })
+  };
+};
+
+// Whether a word of a listing matches one of the terms
+const wordMatcher = (terms) => {
+  const exact = new Set(terms.flatMap(term => term.variants));
+  const fuzzy = new Set(terms.flatMap(term => term.fuzzyKeys));
+
+  return (word) => {
+    const normalized = normalizeText(word);
+    if (normalized.length < 2 || STOPWORDS.has(normalized)) return false;
+
+    const term = stem(normalized);
+    return exact.has(term) || fuzzyKeysOf(term).some(key => fuzzy.has(key));
+  };
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * HTML-escaped text with matching words wrapped in <mark>, or null without a match.
+ * With maxLength, only a window starting shortly before the first match is kept.
+ */
+const highlightText = (text, isMatch, maxLength) => {
+  if (!text) return null;
+
+  const matches = [...text.matchAll(WORD_PATTERN)].filter(match => isMatch(match[0]));
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (maxLength && text.length > maxLength) {
+    start = Math.max(0, matches[0].index - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+
+    // Do not cut words at the edges of the window
+    const firstSpace = text.indexOf(' ', start);
+    if (start > 0 && firstSpace !== -1 && firstSpace < matches[0].index) start = firstSpace + 1;
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > start) end = lastSpace;
+  }
+
+  let html = '';
+  let position = start;
+  matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .forEach(match => {
+      html += `${escapeHtml(text.slice(position, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+      position = match.index + match[0].length;
+    });
+  html += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlighted fields of a listing for the given terms: the full text of short fields and
+ * a snippet of the description. Only fields with a match are returned.
+ */
+const highlightListing = (listing, terms) => {
+  const isMatch = wordMatcher(terms);
+
+  return SEARCH_SOURCE_FIELDS.reduce((highlights, field) => {
+    const highlighted = highlightText(listing[field], isMatch, field === 'description' ? SNIPPET_LENGTH : null);
+    if (highlighted) highlights[field] = highlighted;
+    return highlights;
+  }, {});
+};
+
+module.exports = {
+  SEARCH_SOURCE_FIELDS,
+  normalizeText,
+  stem,
+  buildSearchTerms,
+  parseSearchQuery,
+  buildSearchConditions,
+  buildScoreExpression,
+  highlightListing
+};
@@ -0,0 +1,117 @@
+// services/similarListingService.js - Rank listings similar to a given one
+const Listing = require('../models/Listing');
+const { getLocationTree } = require('./locationService');
+const { normalizeName } = require('../utils/listingValidation');
+
+// Points of each criterion; a perfect match scores 100
+const WEIGHTS = {
+  commune: 25, // Same commune, or
+  district: 12, // another commune of the same district
+  quartier: 5, // Bonus for the same quartier
+  bedrooms: 20,
+  price: 35,
+  tags: 15
+};
+
+const PRICE_RANGE = 0.5; // Candidates priced within ±50% of the listing
+const CANDIDATE_LIMIT = 200;
+
+// Names of the communes in the same district as the listing's commune, from the location hierarchy
+const districtCommunesOf = (locationTree, listing) => {
+  const villeName = Object.keys(locationTree).find(name => normalizeName(name) === normalizeName(listing.ville));
+  if (!villeName) return [];
+
+  const district = locationTree[villeName].districts.find(item =>
+    item.communes.some(commune => normalizeName(commune.nom) === normalizeName(listing.commune))
+  );
+  return district ? district.communes.map(commune => commune.nom) : [];
+};
+
+const sameName = (a, b) => Boolean(a && b) && normalizeName(a) === normalizeName(b);
+
+// Similarity of a candidate to the listing, between 0 and 100
+const scoreCandidate = (listing, candidate, districtCommunes) => {
+  let score = 0;
+
+  if (sameName(candidate.commune, listing.commune)) {
+    score += WEIGHTS.commune;
+  } else if (districtCommunes.some(name => sameName(name, candidate.commune))) {
+    score += WEIGHTS.district;
+  }
+  if (sameName(candidate.quartier, listing.quartier)) {
+    score += WEIGHTS.quartier;
+  }
+
+  const bedrooms = listing.details?.bedroom;
+  const candidateBedrooms = candidate.details?.bedroom;
+  if (bedrooms !== undefined && candidateBedrooms !== undefined) {
+    const gap = Math.abs(bedrooms - candidateBedrooms);
+    score += WEIGHTS.bedrooms * Math.max(0, 1 - gap / 3);
+  }
+
+  // Normalized prices compare listings priced in either currency
+  if (listing.priceUSD > 0 && candidate.priceUSD > 0) {
+    const gap = Math.abs(candidate.priceUSD - listing.priceUSD) / listing.priceUSD;
+    score += WEIGHTS.price * Math.max(0, 1 - gap / PRICE_RANGE);
+  }
+
+  // Share of tags in common (Jaccard index)
+  const tags = new Set(listing.tags || []);
+  const candidateTags = new Set(candidate.tags || []);
+  const union = new Set([...tags, ...candidateTags]);
+  if (union.size > 0) {
+    const shared = [...tags].filter(tag => candidateTags.has(tag)).length;
+    score += WEIGHTS.tags * (shared / union.size);
+  }
+
+  return Math.round(score * 10) / 10;
+};
+
+/**
+ * Active listings of the same type and city as the listing, best matches first,
+ * as [{ listingId, similarity }]. Listings of `excludeUserId` are left out.
+ */
+const findSimilarListings = async (listing, { excludeUserId, limit = 6 } = {}) => {
+  const districtCommunes = districtCommunesOf(await getLocationTree(), listing);
+
+  const filter = {
+    _id: { $ne: listing._id },
+    isDeleted: false,
+    activeSubscription: true,
+    status: 'available',
+    listingType: listing.listingType,
+    ville: listing.ville
+  };
+  if (excludeUserId) {
+    filter.createdBy = { $ne: excludeUserId };
+  }
+
+  // Nearby or similarly priced listings; the rest of the city is unlikely to rank
+  const nearby = [{ commune: { $in: districtCommunes.length > 0 ? districtCommunes : [listing.commune] } }];
+  if (listing.priceUSD > 0) {
+    nearby.push({
+      priceUSD: {
+        $gte: listing.priceUSD * (1 - PRICE_RANGE),
+        $lte: listing.priceUSD * (1 + PRICE_RANGE)
+      }
+    });
+  }
+  filter.$or = nearby;
+
+  const candidates = await Listing.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select('commune quartier details.bedroom priceUSD tags createdAt')
+    .lean();
+
+  const ranked = candidates
+    .map(candidate => ({ candidate, similarity: scoreCandidate(listing, candidate, districtCommunes) }))
+    .sort((a, b) => b.similarity - a.similarity || b.candidate.createdAt - a.candidate.createdAt)
+    .slice(0, limit);
+
+  return ranked.map(({ candidate, similarity }) => ({ listingId: candidate._id, similarity }));
+};
+
+module.exports = {
+  findSimilarListings
+};
@@ -0,0 +1,111 @@
+// utils/geo.js
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Parse a coordinate value coming from a query string or multipart form
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(num) ? NaN : num;
+};
+
+const isValidLatitude = (lat) => typeof lat === 'number' && !isNaN(lat) && lat >= -90 && lat <= 90;
+const isValidLongitude = (lng) => typeof lng === 'number' && !isNaN(lng) && lng >= -180 && lng <= 180;
+
+/**
+ * Extract a coordinate pair from a request body.
+ * Accepts `latitude`/`longitude`, `lat`/`lng`, or a `coordinates` [lng, lat] array (or JSON string).
+ * Returns { provided: false } when nothing was sent, otherwise { provided, isValid, point }.
+ */
+const parseCoordinates = (body = {}) => {
+  let lat = toNumber(body.latitude !== undefined ? body.latitude : body.lat);
+  let lng = toNumber(body.longitude !== undefined ? body.longitude : body.lng);
+
+  if (lat === undefined && lng === undefined && body.coordinates) {
+    try {
+      const coords = typeof body.coordinates === 'string'
+        ? JSON.parse(body.coordinates)
+        : body.coordinates;
+      if (Array.isArray(coords) && coords.length === 2) {
+        lng = toNumber(coords[0]);
+        lat = toNumber(coords[1]);
+      }
+    } catch (err) {
+      return { provided: true, isValid: false };
+    }
+  }
+
+  if (lat === undefined && lng === undefined) {
+    return { provided: false };
+  }
+
+  if (!isValidLatitude(lat) || !isValidLongitude(lng)) {
+    return { provided: true, isValid: false };
+  }
+
+  return { provided: true, isValid: true, point: toPoint(lat, lng) };
+};
+
+// GeoJSON stores positions as [longitude, latitude]
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [lng, lat]
+});
+
+/**
+ * Parse a bounding box from query parameters (swLat, swLng, neLat, neLng).
+ * Returns null when not all four corners are present.
+ */
+const parseBounds = (query = {}) => {
+  const swLat = toNumber(query.swLat);
+  const swLng = toNumber(query.swLng);
+  const neLat = toNumber(query.neLat);
+  const neLng = toNumber(query.neLng);
+
+  if ([swLat, swLng, neLat, neLng].some(value => value === undefined)) {
+    return null;
+  }
+
+  const isValid = isValidLatitude(swLat) && isValidLatitude(neLat) &&
+    isValidLongitude(swLng) && isValidLongitude(neLng) &&
+    swLat < neLat && swLng < neLng;
+
+  return { isValid, swLat, swLng, neLat, neLng };
+};
+
+// Closed GeoJSON polygon for a bounding box, usable with $geoWithin on a 2dsphere index
+const boundsToPolygon = ({ swLat, swLng, neLat, neLng }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [swLng, swLat],
+    [neLng, swLat],
+    [neLng, neLat],
+    [swLng, neLat],
+    [swLng, swLat]
+  ]]
+});
+
+// Radius in kilometres converted to radians for $centerSphere
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+// Great-circle distance between two points in kilometres
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  toNumber,
+  isValidLatitude,
+  isValidLongitude,
+  parseCoordinates,
+  toPoint,
+  parseBounds,
+  boundsToPolygon,
+  kmToRadians,
+  haversineKm
+};
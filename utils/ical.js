@@ -0,0 +1,141 @@
+// utils/ical.js - Minimal iCalendar (RFC 5545) reading and writing for all-day events
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escape text values (commas, semicolons, backslashes and newlines)
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value = '') => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// 2025-07-01 -> 20250701
+const formatDate = (date) => date.toISOString().substring(0, 10).replace(/-/g, '');
+
+// 2025-07-01T10:00:00.000Z -> 20250701T100000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with a leading space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.substring(0, 75));
+    rest = ` ${rest.substring(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+/**
+ * Build a calendar of all-day events.
+ * Each event is { uid, start, end, summary, description } with UTC midnight dates, end exclusive.
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ndaku//Calendrier des locations//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// DTSTART/DTEND value -> UTC midnight of the calendar day
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+/**
+ * Read the events of a calendar as all-day ranges { uid, start, end, summary }.
+ * Times are dropped, so an event blocks the nights from its start day up to its end day.
+ * Cancelled events and events without a start date are skipped.
+ */
+const parseCalendar = (text) => {
+  // Unfold continuation lines
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current && current.start && current.status !== 'CANCELLED') {
+        let end = current.end;
+        if (!end || end <= current.start) {
+          end = new Date(current.start.getTime() + DAY_MS);
+        }
+        events.push({
+          uid: current.uid || null,
+          start: current.start,
+          end,
+          summary: current.summary || ''
+        });
+      }
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const [name] = line.substring(0, separator).split(';');
+    const value = line.substring(separator + 1);
+
+    switch (name.toUpperCase()) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'STATUS':
+        current.status = value.toUpperCase();
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(value);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  buildCalendar,
+  parseCalendar
+};
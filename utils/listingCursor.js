@@ -0,0 +1,71 @@
+// utils/listingCursor.js - Opaque cursors for keyset pagination of listing feeds
+const mongoose = require('mongoose');
+
+const DATE_FIELDS = ['createdAt'];
+
+/**
+ * Encode the position after `listing` for the given sort as an opaque URL-safe string.
+ */
+const encodeCursor = (listing, field, order) => {
+  const value = listing[field];
+  const payload = {
+    f: field,
+    o: order,
+    v: value === undefined || value === null ? null : value instanceof Date ? value.toISOString() : value,
+    id: listing._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor. Returns { field, order, value, id } or null when it is malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { f, o, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof f !== 'string' || ![1, -1].includes(o) || !mongoose.isValidObjectId(id)) return null;
+
+    let value = v;
+    if (value !== null && DATE_FIELDS.includes(f)) {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    } else if (value !== null && typeof value !== 'number') {
+      return null;
+    }
+
+    return { field: f, order: o, value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Condition selecting the documents after the cursor position for a sort on
+ * { [field]: order, _id: order }. Missing values sort before every value, as in MongoDB.
+ */
+const buildCursorCondition = ({ field, order, value, id }) => {
+  const idAfter = { _id: order === 1 ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const op = order === 1 ? '$gt' : '$lt';
+  const conditions = [
+    { [field]: { [op]: value } },
+    { [field]: value, ...idAfter }
+  ];
+  if (order === -1) {
+    // Descending order ends with the listings that have no value
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition
+};
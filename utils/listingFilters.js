@@ -0,0 +1,189 @@
+// utils/listingFilters.js
+const {
+  parseBounds,
+  boundsToPolygon,
+  kmToRadians,
+  toNumber,
+  isValidLatitude,
+  isValidLongitude
+} = require('./geo');
+const { parseSearchQuery, buildSearchConditions } = require('../services/searchService');
+const { notHeldFilter } = require('../services/moderationService');
+
+// How long a price drop is shown as "price reduced"
+const PRICE_DROP_WINDOW_DAYS = 30;
+
+const priceDropSince = () => new Date(Date.now() - PRICE_DROP_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Build the MongoDB filter for public listing queries from request query parameters.
+ * Shared by the list and map endpoints and the saved-search matcher so they all honour the same filters.
+ * Returns { filter, geo, searchTerms } or { error } when a parameter is invalid.
+ */
+const buildListingFilter = (query) => {
+  // Extract filtering parameters
+  const {
+    commune,
+    ville,
+    quartier,
+    typeOfListing,
+    listingType,
+    priceMin,
+    priceMax,
+    bedrooms,
+    bathrooms,
+    furnished,
+    search
+  } = query;
+
+  const filter = { isDeleted: false, ...notHeldFilter() };
+
+  if (query.activeOnly !== 'false') {
+    filter.activeSubscription = true;
+  }
+
+  if (query.priceCurrency && !['USD', 'CDF'].includes(query.priceCurrency)) {
+    return { error: 'priceCurrency must be USD or CDF' };
+  }
+
+  // Apply location filters
+  if (commune) filter.commune = commune;
+  if (ville) filter.ville = ville;
+  if (quartier) filter.quartier = quartier;
+
+  // Apply property type filters
+  if (typeOfListing) filter.typeOfListing = typeOfListing;
+  if (listingType) filter.listingType = listingType;
+
+  // Apply feature filters
+  if (bedrooms) filter['details.bedroom'] = parseInt(bedrooms);
+  if (bathrooms) filter['details.bathroom'] = parseInt(bathrooms);
+  if (furnished === 'true') filter['details.furnished'] = true;
+  if (query.priceReduced === 'true') filter.lastPriceDropAt = { $gte: priceDropSince() };
+
+  // Every search term must match, allowing synonyms and typos
+  const searchTerms = search ? parseSearchQuery(search) : null;
+  if (searchTerms) {
+    filter.$and = buildSearchConditions(searchTerms);
+  }
+
+  // Price range on the normalized price, in USD unless priceCurrency=CDF,
+  // so listings priced in either currency are compared fairly
+  if (priceMin || priceMax) {
+    const priceFilter = {};
+    if (priceMin) priceFilter.$gte = parseFloat(priceMin);
+    if (priceMax) priceFilter.$lte = parseFloat(priceMax);
+
+    if ((priceMin && isNaN(priceFilter.$gte)) || (priceMax && isNaN(priceFilter.$lte))) {
+      return { error: 'priceMin and priceMax must be numbers' };
+    }
+    filter[query.priceCurrency === 'CDF' ? 'priceCDF' : 'priceUSD'] = priceFilter;
+  }
+
+  // Geospatial filters: distance from a point and/or map bounding box
+  const lat = toNumber(query.lat);
+  const lng = toNumber(query.lng);
+  const radiusKm = toNumber(query.radiusKm);
+  const hasCenter = lat !== undefined || lng !== undefined;
+
+  if (hasCenter && (!isValidLatitude(lat) || !isValidLongitude(lng))) {
+    return { error: 'Invalid lat/lng. Both are required, latitude between -90 and 90 and longitude between -180 and 180' };
+  }
+
+  if (radiusKm !== undefined && (!hasCenter || isNaN(radiusKm) || radiusKm <= 0)) {
+    return { error: 'radiusKm must be a positive number and requires lat and lng' };
+  }
+
+  const bounds = parseBounds(query);
+  if (bounds && !bounds.isValid) {
+    return { error: 'Invalid bounding box. Provide swLat, swLng, neLat and neLng with the south-west corner below and left of the north-east corner' };
+  }
+
+  const geoConditions = [];
+  if (hasCenter && radiusKm) {
+    geoConditions.push({
+      location: { $geoWithin: { $centerSphere: [[lng, lat], kmToRadians(radiusKm)] } }
+    });
+  }
+  if (bounds) {
+    geoConditions.push({
+      location: { $geoWithin: { $geometry: boundsToPolygon(bounds) } }
+    });
+  }
+  if (geoConditions.length > 0) {
+    filter.$and = [...(filter.$and || []), ...geoConditions];
+  }
+
+  return {
+    filter,
+    geo: { lat, lng, radiusKm, hasCenter, bounds },
+    searchTerms
+  };
+};
+
+// Filters shown as facets in the filter panel, with the query parameters that select them
+const FACET_PARAMS = {
+  commune: ['commune'],
+  typeOfListing: ['typeOfListing'],
+  listingType: ['listingType'],
+  bedrooms: ['bedrooms'],
+  price: ['priceMin', 'priceMax']
+};
+
+// Price bucket lower bounds per listing type, in USD
+const PRICE_BUCKETS = {
+  rent: [0, 100, 200, 300, 500, 1000, 2000],
+  daily: [0, 20, 50, 100, 200, 500],
+  sale: [0, 10000, 25000, 50000, 100000, 250000, 500000]
+};
+
+/**
+ * Split the query into the filters shared by every facet and the selection of each facet.
+ * A facet is counted without its own selection, so every option shows how many
+ * results it would give with the other filters.
+ * Returns { baseFilter, selections, allSelections } or { error }.
+ */
+const buildFacetFilters = (query) => {
+  const facetParams = Object.values(FACET_PARAMS).flat();
+
+  // Validate every parameter once, so the selections below cannot fail
+  const validation = buildListingFilter(query);
+  if (validation.error) return { error: validation.error };
+
+  const baseQuery = { ...query };
+  facetParams.forEach(param => delete baseQuery[param]);
+  const base = buildListingFilter(baseQuery);
+  if (base.error) return base;
+
+  // Conditions from the given facet parameters only
+  const selectionFor = (params) => {
+    const selectionQuery = { activeOnly: 'false', priceCurrency: query.priceCurrency };
+    params.forEach(param => {
+      if (query[param]) selectionQuery[param] = query[param];
+    });
+    const { filter } = buildListingFilter(selectionQuery);
+    delete filter.isDeleted;
+    delete filter.moderationStatus;
+    return filter;
+  };
+
+  const selections = Object.keys(FACET_PARAMS).reduce((map, facet) => {
+    map[facet] = selectionFor(facetParams.filter(param => !FACET_PARAMS[facet].includes(param)));
+    return map;
+  }, {});
+
+  return {
+    baseFilter: base.filter,
+    selections,
+    allSelections: selectionFor(facetParams)
+  };
+};
+
+module.exports = {
+  PRICE_DROP_WINDOW_DAYS,
+  priceDropSince,
+  FACET_PARAMS,
+  PRICE_BUCKETS,
+  buildListingFilter,
+  buildFacetFilters
+};
@@ -0,0 +1,85 @@
+// utils/listingValidation.js - Listing field and location checks shared by the create and import flows
+
+const REQUIRED_FIELDS = [
+  'listerFirstName', 'listerLastName', 'listerEmailAddress',
+  'listerPhoneNumber', 'typeOfListing', 'listingType',
+  'address', 'quartier', 'commune', 'district', 'ville'
+];
+
+// Helper function to validate listing data
+const validateListingData = (body) => {
+  const missingFields = REQUIRED_FIELDS.filter(field => !body[field]);
+
+  if (missingFields.length > 0) {
+    return { isValid: false, missingFields };
+  }
+
+  return { isValid: true };
+};
+
+// Compare place names ignoring case, accents, spaces and dashes
+const normalizeName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[\s\-']+/g, '');
+
+const findByName = (items, name, getName = item => item) =>
+  items.find(item => normalizeName(getName(item)) === normalizeName(name));
+
+/**
+ * Check ville / district / commune / quartier against a location tree shaped like
+ * utils/locationData.js (see locationService.getLocationTree).
+ * The district can be omitted and is then derived from the commune.
+ * Returns { isValid, error } or { isValid, location } with the official spelling of each name.
+ */
+const validateLocation = ({ ville, district, commune, quartier }, locationTree) => {
+  const villeName = Object.keys(locationTree).find(name => normalizeName(name) === normalizeName(ville));
+  if (!villeName) {
+    return { isValid: false, error: `Unknown city: ${ville}` };
+  }
+
+  let districts = locationTree[villeName].districts;
+  if (district) {
+    const match = findByName(districts, district, item => item.nom);
+    if (!match) {
+      return { isValid: false, error: `Unknown district in ${villeName}: ${district}` };
+    }
+    districts = [match];
+  }
+
+  let communeMatch;
+  let districtMatch;
+  for (const item of districts) {
+    communeMatch = findByName(item.communes, commune, entry => entry.nom);
+    if (communeMatch) {
+      districtMatch = item;
+      break;
+    }
+  }
+  if (!communeMatch) {
+    return { isValid: false, error: `Unknown commune${district ? ` in ${districts[0].nom}` : ''}: ${commune}` };
+  }
+
+  const quartierMatch = findByName(communeMatch.quartiers, quartier);
+  if (!quartierMatch) {
+    return { isValid: false, error: `Unknown quartier in ${communeMatch.nom}: ${quartier}` };
+  }
+
+  return {
+    isValid: true,
+    location: {
+      ville: villeName,
+      district: districtMatch.nom,
+      commune: communeMatch.nom,
+      quartier: quartierMatch
+    }
+  };
+};
+
+module.exports = {
+  REQUIRED_FIELDS,
+  normalizeName,
+  validateListingData,
+  validateLocation
+};